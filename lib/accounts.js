@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+
+// Local dashboard/API accounts. Passwords are stored as scrypt hashes; a sign-in
+// hands out a random session token of which only the SHA-256 is kept on disk.
+// Employees sign in to self-service with their device user ID and a PIN set by HR.
+const ACCOUNTS_FILE = 'accounts.json';
+const SESSIONS_FILE = 'sessions.json';
+const PINS_FILE = 'employee-pins.json';
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'hr', 'admin'];
+
+const SESSION_TTL_MS = 12 * 3600000;
+const MIN_PASSWORD_LENGTH = 8;
+const PIN_RE = /^\d{4,8}$/;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60000;
+
+let accounts = null;
+let sessions = null;
+let pins = null; // device user ID -> PIN hash
+const failedLogins = {}; // username or employee:<userId> -> { count, lockedUntil }
+
+function load() {
+    if (accounts) return;
+    accounts = storage.readJson(ACCOUNTS_FILE, []);
+    sessions = storage.readJson(SESSIONS_FILE, {});
+    pins = storage.readJson(PINS_FILE, {});
+}
+
+function saveAccounts() {
+    storage.writeJson(ACCOUNTS_FILE, accounts);
+}
+
+function savePins() {
+    storage.writeJson(PINS_FILE, pins);
+}
+
+function saveSessions() {
+    const now = Date.now();
+    for (const key in sessions) {
+        if (sessions[key].expiresAt < now) delete sessions[key];
+    }
+    storage.writeJson(SESSIONS_FILE, sessions);
+}
+
+// --- PASSWORDS ---
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+function checkPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function tokenKey(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// --- ACCOUNTS ---
+
+// Password hashes never leave this module
+function describeAccount(account) {
+    const { passwordHash, ...rest } = account;
+    return rest;
+}
+
+function listAccounts() {
+    load();
+    return accounts.map(describeAccount);
+}
+
+function findStored(username) {
+    load();
+    return accounts.find(a => a.username === String(username || '').trim().toLowerCase()) || null;
+}
+
+function getAccount(username) {
+    const account = findStored(username);
+    return account ? describeAccount(account) : null;
+}
+
+function hasRole(account, role) {
+    return !!account && ROLES.indexOf(account.role) >= ROLES.indexOf(role);
+}
+
+function activeAdmins() {
+    return accounts.filter(a => a.active && a.role === 'admin');
+}
+
+// Returns an error message, or null when the fields are usable.
+// existing is the stored account when updating.
+function validateAccount(data, existing = null) {
+    load();
+    if (!existing) {
+        const username = String(data.username || '').trim().toLowerCase();
+        if (!/^[a-z0-9._-]{3,32}$/.test(username)) return 'Username must be 3-32 letters, digits, dots, dashes or underscores';
+        if (findStored(username)) return `Account ${username} already exists`;
+    }
+    if (!existing || data.role !== undefined) {
+        if (!ROLES.includes(data.role)) return `Role must be one of: ${ROLES.join(', ')}`;
+    }
+    if (!existing || data.password !== undefined) {
+        if (String(data.password || '').length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    // Never lock everybody out of the admin pages
+    if (existing && existing.role === 'admin' && existing.active) {
+        const demoted = (data.role !== undefined && data.role !== 'admin') || data.active === false;
+        if (demoted && activeAdmins().length === 1) return 'This is the only active admin account';
+    }
+    return null;
+}
+
+function createAccount(data) {
+    load();
+    const account = {
+        username: String(data.username).trim().toLowerCase(),
+        name: String(data.name || '').trim() || String(data.username).trim(),
+        role: data.role,
+        active: data.active !== false,
+        passwordHash: hashPassword(data.password),
+        createdAt: new Date().toISOString()
+    };
+    accounts.push(account);
+    saveAccounts();
+    return describeAccount(account);
+}
+
+// Changing the password or deactivating an account signs it out everywhere
+function updateAccount(username, data) {
+    const account = findStored(username);
+    if (!account) return null;
+    if (data.name !== undefined) account.name = String(data.name).trim() || account.username;
+    if (data.role !== undefined) account.role = data.role;
+    if (data.active !== undefined) account.active = !!data.active;
+    if (data.password !== undefined) account.passwordHash = hashPassword(data.password);
+    account.updatedAt = new Date().toISOString();
+    saveAccounts();
+    if (data.password !== undefined || account.active === false) endSessions(account.username);
+    return describeAccount(account);
+}
+
+function removeAccount(username) {
+    const account = findStored(username);
+    if (!account) return false;
+    accounts.splice(accounts.indexOf(account), 1);
+    saveAccounts();
+    endSessions(account.username);
+    return true;
+}
+
+// The last active admin can't be removed
+function canRemove(username) {
+    const account = findStored(username);
+    return !!account && !(account.role === 'admin' && account.active && activeAdmins().length === 1);
+}
+
+function verifyPassword(username, password) {
+    const account = findStored(username);
+    return !!account && checkPassword(password, account.passwordHash);
+}
+
+// First start: create an admin so somebody can sign in. Returns the password
+// when one had to be generated, so it can be shown once on the console.
+function ensureAdmin(password) {
+    load();
+    if (accounts.length) return null;
+    const initial = password || crypto.randomBytes(9).toString('base64url');
+    createAccount({ username: 'admin', name: 'Administrator', role: 'admin', password: initial });
+    return password ? null : initial;
+}
+
+// --- EMPLOYEE PINS ---
+
+function validatePin(pin) {
+    return PIN_RE.test(String(pin || '')) ? null : 'PIN must be 4 to 8 digits';
+}
+
+function hasEmployeePin(userId) {
+    load();
+    return !!pins[String(userId)];
+}
+
+// A new PIN signs the employee out of their other sessions
+function setEmployeePin(userId, pin) {
+    load();
+    pins[String(userId)] = hashPassword(pin);
+    savePins();
+    endSessions(null, String(userId));
+}
+
+function clearEmployeePin(userId) {
+    load();
+    if (!pins[String(userId)]) return false;
+    delete pins[String(userId)];
+    savePins();
+    endSessions(null, String(userId));
+    return true;
+}
+
+// --- SESSIONS ---
+
+// Repeated wrong passwords or PINs lock the name for a while so they can't be guessed from the LAN
+function lockedOut(key) {
+    const failures = failedLogins[key];
+    return !!failures && failures.lockedUntil > Date.now();
+}
+
+function recordFailure(key) {
+    const failures = failedLogins[key];
+    // A lockout that has run out starts the count again
+    const count = failures && !failures.lockedUntil ? failures.count + 1 : 1;
+    failedLogins[key] = { count, lockedUntil: count >= MAX_FAILED_LOGINS ? Date.now() + LOCKOUT_MS : 0 };
+}
+
+function startSession(owner) {
+    delete failedLogins[owner.employeeId ? `employee:${owner.employeeId}` : owner.username];
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    sessions[tokenKey(token)] = { ...owner, createdAt: Date.now(), expiresAt };
+    saveSessions();
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+const LOCKED_OUT = { error: 'Too many failed sign-ins; try again later', locked: true };
+
+// Returns { token, expiresAt, account } or { error }
+function signIn(username, password) {
+    load();
+    const key = String(username || '').trim().toLowerCase();
+    if (lockedOut(key)) return LOCKED_OUT;
+
+    const account = findStored(key);
+    if (!account || !account.active || !checkPassword(password, account.passwordHash)) {
+        recordFailure(key);
+        return { error: 'Wrong username or password' };
+    }
+
+    const session = startSession({ username: account.username });
+    account.lastLoginAt = new Date().toISOString();
+    saveAccounts();
+    return { ...session, account: describeAccount(account) };
+}
+
+// Self-service sign-in. Returns { token, expiresAt } or { error }.
+function signInEmployee(userId, pin) {
+    load();
+    const id = String(userId || '').trim();
+    const key = `employee:${id}`;
+    if (lockedOut(key)) return LOCKED_OUT;
+
+    if (!pins[id] || !checkPassword(pin, pins[id])) {
+        recordFailure(key);
+        return { error: 'Wrong user ID or PIN' };
+    }
+    return startSession({ employeeId: id });
+}
+
+// The signed-in account for a token, or null when it is unknown, expired or disabled.
+// Employee sessions come back as { username: 'employee:<userId>', role: 'employee', userId }.
+function authenticate(token) {
+    if (!token) return null;
+    load();
+    const session = sessions[tokenKey(token)];
+    if (!session || session.expiresAt < Date.now()) return null;
+    if (session.employeeId) {
+        return pins[session.employeeId] ? { username: `employee:${session.employeeId}`, role: 'employee', userId: session.employeeId } : null;
+    }
+    const account = findStored(session.username);
+    return account && account.active ? describeAccount(account) : null;
+}
+
+function signOut(token) {
+    load();
+    const key = tokenKey(token);
+    if (!sessions[key]) return false;
+    delete sessions[key];
+    saveSessions();
+    return true;
+}
+
+// Ends every session of an account, or of an employee when employeeId is given
+function endSessions(username, employeeId = null) {
+    for (const key in sessions) {
+        const session = sessions[key];
+        if (employeeId ? session.employeeId === employeeId : session.username === username) delete sessions[key];
+    }
+    saveSessions();
+}
+
+module.exports = {
+    ROLES,
+    SESSION_TTL_MS,
+    listAccounts,
+    getAccount,
+    hasRole,
+    validateAccount,
+    createAccount,
+    updateAccount,
+    removeAccount,
+    canRemove,
+    verifyPassword,
+    ensureAdmin,
+    validatePin,
+    hasEmployeePin,
+    setEmployeePin,
+    clearEmployeePin,
+    signIn,
+    signInEmployee,
+    authenticate,
+    signOut
+};
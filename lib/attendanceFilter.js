@@ -0,0 +1,156 @@
+const timezone = require('./timezone');
+
+// The one filter model shared by /api/attendance, the exports, reports and cloud sync.
+// Every way of asking for a period (a date, a month, a year, from/to, everything)
+// becomes an inclusive from/to range of YYYY-MM-DD keys; null means open-ended.
+// The keys are office dates (lib/timezone.js).
+
+const FILTER_TYPES = ['date', 'month', 'year', 'range', 'all'];
+const SORT_FIELDS = ['time', 'uid', 'name', 'device'];
+const MAX_PAGE_SIZE = 1000;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+const YEAR_RE = /^\d{4}$/;
+
+function localDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function isDateKey(value) {
+    return DATE_RE.test(String(value || '')) && localDateKey(new Date(`${value}T00:00:00`)) === value;
+}
+
+// "1,2" or ["1", "2"] (repeated query parameters) -> ['1', '2']
+function listParam(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(v => String(v).trim()).filter(Boolean);
+}
+
+// Without type, from/to make a range and nothing at all means today
+function filterType(query) {
+    if (query.type) return query.type;
+    return query.from || query.to ? 'range' : 'date';
+}
+
+// Returns an error message, or null when the query describes a usable filter
+function validateFilter(query = {}) {
+    const type = filterType(query);
+    if (!FILTER_TYPES.includes(type)) return `type must be one of: ${FILTER_TYPES.join(', ')}`;
+
+    const value = query.value;
+    if (value) {
+        if (type === 'date' && !isDateKey(value)) return 'value must be YYYY-MM-DD for type=date';
+        if (type === 'month' && !MONTH_RE.test(value)) return 'value must be YYYY-MM for type=month';
+        if (type === 'year' && !YEAR_RE.test(value)) return 'value must be YYYY for type=year';
+    }
+    if (type === 'range') {
+        if (query.from && !isDateKey(query.from)) return 'from must be YYYY-MM-DD';
+        if (query.to && !isDateKey(query.to)) return 'to must be YYYY-MM-DD';
+        if (query.from && query.to && query.to < query.from) return 'to is before from';
+    }
+
+    if (query.page !== undefined && !(Number.isInteger(Number(query.page)) && Number(query.page) >= 1)) {
+        return 'page must be 1 or more';
+    }
+    if (query.pageSize !== undefined) {
+        const size = Number(query.pageSize);
+        if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) return `pageSize must be between 1 and ${MAX_PAGE_SIZE}`;
+    }
+    if (query.sort !== undefined && !SORT_FIELDS.includes(query.sort)) return `sort must be one of: ${SORT_FIELDS.join(', ')}`;
+    if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) return "order must be 'asc' or 'desc'";
+    return null;
+}
+
+// Normalizes a validated query. Date/month/year without a value mean the current one.
+function buildFilter(query = {}, now = new Date()) {
+    const type = filterType(query);
+    const today = timezone.dateKey(now);
+    let value = query.value || null;
+    let from = null;
+    let to = null;
+
+    if (type === 'date') {
+        value = value || today;
+        from = to = value;
+    } else if (type === 'month') {
+        value = value || today.substring(0, 7);
+        const [y, m] = value.split('-').map(Number);
+        from = `${value}-01`;
+        to = `${value}-${String(new Date(y, m, 0).getDate()).padStart(2, '0')}`;
+    } else if (type === 'year') {
+        value = value || today.substring(0, 4);
+        from = `${value}-01-01`;
+        to = `${value}-12-31`;
+    } else if (type === 'range') {
+        from = query.from || null;
+        to = query.to || null;
+    }
+
+    return {
+        type,
+        value,
+        from,
+        to,
+        userIds: listParam(query.userId),
+        department: query.department || null,
+        // Paging only applies when a page is asked for; exports and sync want everything
+        page: query.page !== undefined ? Number(query.page) : null,
+        pageSize: query.pageSize !== undefined ? Number(query.pageSize) : 50,
+        sort: query.sort || 'time',
+        order: query.order || (query.sort && query.sort !== 'time' ? 'asc' : 'desc')
+    };
+}
+
+function inRange(dateKey, filter) {
+    return (!filter.from || dateKey >= filter.from) && (!filter.to || dateKey <= filter.to);
+}
+
+// Punch log comparators; ties fall back to time so pages stay stable
+const COMPARE = {
+    time: (a, b) => new Date(a.timestamp) - new Date(b.timestamp),
+    uid: (a, b) => String(a.uid).localeCompare(String(b.uid), undefined, { numeric: true }),
+    name: (a, b) => String(a.userName).localeCompare(String(b.userName)),
+    device: (a, b) => String(a.deviceSN || '').localeCompare(String(b.deviceSN || ''))
+};
+
+function sortLogs(logs, filter) {
+    const direction = filter.order === 'asc' ? 1 : -1;
+    return logs.slice().sort((a, b) => direction * (COMPARE[filter.sort](a, b) || COMPARE.time(a, b)));
+}
+
+// Returns { data, page, pageSize, totalPages } (the whole list when no page was asked for)
+function pageOf(logs, filter) {
+    if (!filter.page) return { data: logs, page: null, pageSize: null, totalPages: 1 };
+    const totalPages = Math.max(1, Math.ceil(logs.length / filter.pageSize));
+    const page = Math.min(filter.page, totalPages);
+    const start = (page - 1) * filter.pageSize;
+    return { data: logs.slice(start, start + filter.pageSize), page, pageSize: filter.pageSize, totalPages };
+}
+
+// Short human description, e.g. for report headers
+function describeFilter(filter) {
+    if (!filter) return '';
+    let period;
+    if (filter.type === 'all') period = 'all records';
+    else if (filter.type === 'range') period = `${filter.from || 'start'} to ${filter.to || 'today'}`;
+    else period = `${filter.type} ${filter.value}`;
+    const parts = [period];
+    if (filter.department) parts.push(`${filter.department} department`);
+    if (filter.userIds && filter.userIds.length) parts.push(`employee ${filter.userIds.join(', ')}`);
+    return parts.join(', ');
+}
+
+module.exports = {
+    FILTER_TYPES,
+    SORT_FIELDS,
+    localDateKey,
+    isDateKey,
+    validateFilter,
+    buildFilter,
+    inRange,
+    sortLogs,
+    pageOf,
+    describeFilter
+};
@@ -0,0 +1,266 @@
+const storage = require('./storage');
+const timezone = require('./timezone');
+
+// Shift schedules and who works which shift. A shift applies to an employee through
+// a direct assignment, then through a group they belong to, then as the default shift.
+const RULES_FILE = 'attendance-rules.json';
+
+let rules = null;
+
+function load() {
+    if (rules) return rules;
+    rules = {
+        shifts: [],
+        groups: [],
+        assignments: {},
+        settings: {},
+        ...storage.readJson(RULES_FILE, {})
+    };
+    // Defaults for settings added after the file was first written
+    rules.settings = {
+        defaultShiftId: null,
+        dayBoundary: '00:00',
+        pairingMode: 'device',
+        duplicateWindowSeconds: 60,
+        ...rules.settings
+    };
+    return rules;
+}
+
+function save() {
+    storage.writeJson(RULES_FILE, rules);
+}
+
+function getRules() {
+    return load();
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Returns an error message, or null when the shift fields are usable
+function validateShift(data) {
+    if (!data.name || !String(data.name).trim()) return 'Shift name is required';
+    if (!TIME_RE.test(data.start || '')) return 'Start time must be HH:mm';
+    if (!TIME_RE.test(data.end || '')) return 'End time must be HH:mm';
+    if (data.graceMinutes !== undefined && !(Number(data.graceMinutes) >= 0)) return 'Grace minutes must be 0 or more';
+    if (data.breakMinutes !== undefined && !(Number(data.breakMinutes) >= 0)) return 'Break minutes must be 0 or more';
+    if (data.workDays !== undefined) {
+        if (!Array.isArray(data.workDays) || data.workDays.some(d => !Number.isInteger(Number(d)) || d < 0 || d > 6)) {
+            return 'Working days must be a list of weekday numbers (0 = Sunday ... 6 = Saturday)';
+        }
+    }
+    return null;
+}
+
+function shiftFields(data) {
+    return {
+        name: String(data.name).trim(),
+        start: data.start,
+        end: data.end,
+        graceMinutes: Number(data.graceMinutes || 0),
+        breakMinutes: Number(data.breakMinutes || 0),
+        workDays: (data.workDays || [1, 2, 3, 4, 5]).map(Number)
+    };
+}
+
+function addShift(data) {
+    load();
+    const shift = { id: storage.nextId('shift', rules.shifts), ...shiftFields(data) };
+    rules.shifts.push(shift);
+    save();
+    return shift;
+}
+
+function updateShift(id, data) {
+    load();
+    const shift = rules.shifts.find(s => s.id === id);
+    if (!shift) return null;
+    Object.assign(shift, shiftFields({ ...shift, ...data }));
+    save();
+    return shift;
+}
+
+// Removing a shift also drops every assignment that pointed at it
+function removeShift(id) {
+    load();
+    const idx = rules.shifts.findIndex(s => s.id === id);
+    if (idx === -1) return false;
+    rules.shifts.splice(idx, 1);
+    for (const uid in rules.assignments) {
+        if (rules.assignments[uid] === id) delete rules.assignments[uid];
+    }
+    rules.groups.forEach(g => { if (g.shiftId === id) g.shiftId = null; });
+    if (rules.settings.defaultShiftId === id) rules.settings.defaultShiftId = null;
+    save();
+    return true;
+}
+
+function getShift(id) {
+    return load().shifts.find(s => s.id === id) || null;
+}
+
+function groupFields(data) {
+    // Members may come as a list or as a comma-separated string from the dashboard form
+    const members = Array.isArray(data.members) ? data.members : String(data.members || '').split(',');
+    return {
+        name: String(data.name).trim(),
+        members: members.map(m => String(m).trim()).filter(Boolean),
+        shiftId: data.shiftId || null
+    };
+}
+
+function addGroup(data) {
+    load();
+    const group = { id: storage.nextId('group', rules.groups), ...groupFields(data) };
+    rules.groups.push(group);
+    save();
+    return group;
+}
+
+function updateGroup(id, data) {
+    load();
+    const group = rules.groups.find(g => g.id === id);
+    if (!group) return null;
+    Object.assign(group, groupFields({ ...group, ...data }));
+    save();
+    return group;
+}
+
+function removeGroup(id) {
+    load();
+    const idx = rules.groups.findIndex(g => g.id === id);
+    if (idx === -1) return false;
+    rules.groups.splice(idx, 1);
+    save();
+    return true;
+}
+
+// shiftId null clears the employee's direct assignment
+function assignShift(uid, shiftId) {
+    load();
+    if (shiftId) rules.assignments[String(uid)] = shiftId;
+    else delete rules.assignments[String(uid)];
+    save();
+}
+
+function updateSettings(data) {
+    load();
+    rules.settings = { ...rules.settings, ...data };
+    save();
+    return rules.settings;
+}
+
+function resolveShift(uid) {
+    load();
+    const id = String(uid);
+    if (rules.assignments[id]) return getShift(rules.assignments[id]);
+    const group = rules.groups.find(g => g.shiftId && g.members.includes(id));
+    if (group) return getShift(group.shiftId);
+    return rules.settings.defaultShiftId ? getShift(rules.settings.defaultShiftId) : null;
+}
+
+// --- WORK DAY ATTRIBUTION ---
+
+function toMinutes(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+function isOvernight(shift) {
+    return !!shift && toMinutes(shift.end) <= toMinutes(shift.start);
+}
+
+// Time of day before which a punch still counts towards the previous work day.
+// Overnight shifts cut halfway through the off-duty gap after the shift ends
+// (22:00-06:00 cuts at 14:00), everyone else uses the configured day boundary.
+function dayCutoffMinutes(shift) {
+    if (isOvernight(shift)) {
+        const end = toMinutes(shift.end);
+        const gap = toMinutes(shift.start) - end;
+        return end + Math.floor(gap / 2);
+    }
+    return toMinutes(load().settings.dayBoundary || '00:00');
+}
+
+// The YYYY-MM-DD work day a punch belongs to, so a session that crosses
+// midnight stays on the date the shift started. zone is where the punch was made.
+function workDateFor(uid, date, zone = timezone.officeZone()) {
+    const cutoff = dayCutoffMinutes(resolveShift(uid));
+    const dateKey = timezone.dateKey(date, zone);
+    return timezone.minutesOfDay(date, zone) >= cutoff ? dateKey : timezone.addDays(dateKey, -1);
+}
+
+// --- SCHEDULE EVALUATION ---
+
+function wholeMinutes(ms) {
+    return Math.max(0, Math.floor(ms / 60000));
+}
+
+// Compares one employee-day ({ firstIn, lastOut, totalMs }) against their shift,
+// with the shift's times read in zone
+function evaluateDay(shift, dateKey, day, zone = timezone.officeZone()) {
+    if (!shift) {
+        return { shift: null, lateMinutes: 0, earlyLeaveMinutes: 0, overtimeMinutes: 0, status: null };
+    }
+
+    const start = timezone.zonedDate(dateKey, shift.start, zone);
+    let end = timezone.zonedDate(dateKey, shift.end, zone);
+    if (end <= start) end = timezone.zonedDate(timezone.addDays(dateKey, 1), shift.end, zone); // Shift ends after midnight
+
+    const breakMs = shift.breakMinutes * 60000;
+    const scheduledMs = Math.max(0, end - start - breakMs);
+    const isWorkDay = shift.workDays.includes(timezone.weekday(dateKey));
+
+    // Deduct the scheduled break only for the part not already spent punched out
+    const awayMs = day.firstIn && day.lastOut ? Math.max(0, (day.lastOut - day.firstIn) - day.totalMs) : 0;
+    const workedMs = Math.max(0, day.totalMs - Math.max(0, breakMs - awayMs));
+
+    const result = {
+        shift: shift.name,
+        lateMinutes: 0,
+        earlyLeaveMinutes: 0,
+        overtimeMinutes: wholeMinutes(isWorkDay ? workedMs - scheduledMs : workedMs),
+        status: null
+    };
+
+    if (!isWorkDay) {
+        result.status = 'Off Day';
+        return result;
+    }
+
+    if (!day.firstIn) {
+        result.status = 'Absent';
+        return result;
+    }
+
+    if (day.firstIn - start > shift.graceMinutes * 60000) {
+        result.lateMinutes = wholeMinutes(day.firstIn - start);
+    }
+    if (day.lastOut && day.lastOut < end) {
+        result.earlyLeaveMinutes = wholeMinutes(end - day.lastOut);
+    }
+
+    if (workedMs < scheduledMs / 2) result.status = 'Half Day';
+    else if (result.lateMinutes > 0) result.status = 'Late';
+    else result.status = 'On Time';
+
+    return result;
+}
+
+module.exports = {
+    getRules,
+    validateShift,
+    addShift,
+    updateShift,
+    removeShift,
+    getShift,
+    addGroup,
+    updateGroup,
+    removeGroup,
+    assignShift,
+    updateSettings,
+    resolveShift,
+    isOvernight,
+    workDateFor,
+    evaluateDay
+};
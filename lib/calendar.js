@@ -0,0 +1,205 @@
+const storage = require('./storage');
+const timezone = require('./timezone');
+const { isDateKey, inRange } = require('./attendanceFilter');
+
+// Days nobody is expected in (public holidays, the weekly off days) and approved
+// leave per employee. Lets reports tell an absence apart from a day off.
+const CALENDAR_FILE = 'calendar.json';
+
+const LEAVE_TYPES = ['annual', 'sick', 'casual', 'unpaid', 'other'];
+const LEAVE_PORTIONS = ['full', 'half'];
+
+let calendar = null;
+
+function load() {
+    if (calendar) return calendar;
+    calendar = {
+        holidays: [],
+        leaves: [],
+        // Used for employees without a shift; a shift's working days take precedence
+        weeklyOffDays: [0, 6],
+        ...storage.readJson(CALENDAR_FILE, {})
+    };
+    return calendar;
+}
+
+function save() {
+    storage.writeJson(CALENDAR_FILE, calendar);
+}
+
+function getCalendar() {
+    return load();
+}
+
+// --- WEEKLY OFF DAYS ---
+
+function setWeeklyOffDays(days) {
+    load();
+    calendar.weeklyOffDays = [...new Set(days.map(Number))].sort((a, b) => a - b);
+    save();
+    return calendar.weeklyOffDays;
+}
+
+function validateWeeklyOffDays(days) {
+    if (!Array.isArray(days) || days.some(d => !Number.isInteger(Number(d)) || d < 0 || d > 6)) {
+        return 'Weekly off days must be a list of weekday numbers (0 = Sunday ... 6 = Saturday)';
+    }
+    return null;
+}
+
+// --- HOLIDAYS ---
+
+function listHolidays({ from, to } = {}) {
+    return load().holidays
+        .filter(h => inRange(h.date, { from, to }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Returns an error message, or null when the fields are usable
+function validateHoliday(data, id = null) {
+    if (!isDateKey(data.date)) return 'Date must be YYYY-MM-DD';
+    if (!data.name || !String(data.name).trim()) return 'Holiday name is required';
+    const clash = load().holidays.find(h => h.date === data.date && h.id !== id);
+    if (clash) return `${data.date} is already a holiday (${clash.name})`;
+    return null;
+}
+
+function addHoliday(data) {
+    load();
+    const holiday = { id: storage.nextId('hol', calendar.holidays), date: data.date, name: String(data.name).trim() };
+    calendar.holidays.push(holiday);
+    save();
+    return holiday;
+}
+
+function updateHoliday(id, data) {
+    load();
+    const holiday = calendar.holidays.find(h => h.id === id);
+    if (!holiday) return null;
+    if (data.date !== undefined) holiday.date = data.date;
+    if (data.name !== undefined) holiday.name = String(data.name).trim();
+    save();
+    return holiday;
+}
+
+function removeHoliday(id) {
+    load();
+    const idx = calendar.holidays.findIndex(h => h.id === id);
+    if (idx === -1) return false;
+    calendar.holidays.splice(idx, 1);
+    save();
+    return true;
+}
+
+// --- LEAVE ---
+
+function listLeaves({ userId, from, to } = {}) {
+    return load().leaves
+        .filter(l => (!userId || l.userId === String(userId)) && (!to || l.from <= to) && (!from || l.to >= from))
+        .sort((a, b) => a.from.localeCompare(b.from));
+}
+
+// Returns an error message, or null when the fields are usable.
+// Updates are validated as the stored leave merged with the changes.
+function validateLeave(data, id = null) {
+    if (!String(data.userId || '').trim()) return 'Employee user ID is required';
+    if (!LEAVE_TYPES.includes(data.type)) return `Leave type must be one of: ${LEAVE_TYPES.join(', ')}`;
+    if (!isDateKey(data.from)) return 'From date must be YYYY-MM-DD';
+    const to = data.to || data.from;
+    if (!isDateKey(to)) return 'To date must be YYYY-MM-DD';
+    if (to < data.from) return 'To date is before the from date';
+    const portion = data.portion || 'full';
+    if (!LEAVE_PORTIONS.includes(portion)) return `Portion must be one of: ${LEAVE_PORTIONS.join(', ')}`;
+    if (portion === 'half' && to !== data.from) return 'A half-day leave covers a single date';
+    const overlap = listLeaves({ userId: String(data.userId).trim(), from: data.from, to }).find(l => l.id !== id);
+    if (overlap) return `Overlaps leave ${overlap.id} (${overlap.from} to ${overlap.to})`;
+    return null;
+}
+
+function leaveFields(data) {
+    return {
+        userId: String(data.userId).trim(),
+        type: data.type,
+        from: data.from,
+        to: data.to || data.from,
+        portion: data.portion || 'full',
+        note: String(data.note || '').trim()
+    };
+}
+
+function addLeave(data, by) {
+    load();
+    const leave = {
+        id: storage.nextId('leave', calendar.leaves),
+        ...leaveFields(data),
+        createdBy: by,
+        createdAt: new Date().toISOString()
+    };
+    calendar.leaves.push(leave);
+    save();
+    return leave;
+}
+
+function updateLeave(id, data, by) {
+    load();
+    const leave = calendar.leaves.find(l => l.id === id);
+    if (!leave) return null;
+    Object.assign(leave, leaveFields({ ...leave, ...data }), { updatedBy: by, updatedAt: new Date().toISOString() });
+    save();
+    return leave;
+}
+
+function removeLeave(id) {
+    load();
+    const idx = calendar.leaves.findIndex(l => l.id === id);
+    if (idx === -1) return false;
+    calendar.leaves.splice(idx, 1);
+    save();
+    return true;
+}
+
+// --- DAY CLASSIFICATION ---
+
+// What the calendar says about one employee on one date. workDays are the
+// employee's shift working days, or null to use the weekly off days.
+function describeDay(userId, dateKey, workDays) {
+    load();
+    const weekday = timezone.weekday(dateKey);
+    const holiday = calendar.holidays.find(h => h.date === dateKey);
+    const leave = calendar.leaves.find(l => l.userId === String(userId) && l.from <= dateKey && l.to >= dateKey);
+    return {
+        holiday: holiday ? holiday.name : null,
+        weekend: workDays ? !workDays.includes(weekday) : calendar.weeklyOffDays.includes(weekday),
+        leave: leave ? { id: leave.id, type: leave.type, portion: leave.portion } : null
+    };
+}
+
+// Day status for the summary: anyone who punched is Present; otherwise a holiday,
+// then the weekly off day, then approved leave explains the missing day.
+function dayStatus(day, punched) {
+    if (punched) return 'Present';
+    if (day.holiday) return 'Holiday';
+    if (day.weekend) return 'Weekend';
+    if (day.leave) return 'Leave';
+    return 'Absent';
+}
+
+module.exports = {
+    LEAVE_TYPES,
+    LEAVE_PORTIONS,
+    getCalendar,
+    validateWeeklyOffDays,
+    setWeeklyOffDays,
+    listHolidays,
+    validateHoliday,
+    addHoliday,
+    updateHoliday,
+    removeHoliday,
+    listLeaves,
+    validateLeave,
+    addLeave,
+    updateLeave,
+    removeLeave,
+    describeDay,
+    dayStatus
+};
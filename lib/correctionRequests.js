@@ -0,0 +1,89 @@
+const storage = require('./storage');
+const punchStates = require('./punchStates');
+const timezone = require('./timezone');
+const { isDateKey } = require('./attendanceFilter');
+
+// Corrections asked for by employees from self-service ("forgot to punch out at 18:00").
+// They change nothing until HR approves one; the approval adds a manual punch
+// through lib/corrections.js so it lands in the usual audit trail.
+const REQUESTS_FILE = 'correction-requests.json';
+
+const REQUEST_STATES = ['pending', 'approved', 'rejected'];
+
+let requests = null;
+
+function load() {
+    if (requests) return requests;
+    requests = storage.readJson(REQUESTS_FILE, []);
+    return requests;
+}
+
+function save() {
+    storage.writeJson(REQUESTS_FILE, requests);
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Newest first
+function listRequests({ userId, state } = {}) {
+    return load()
+        .filter(r => (!userId || r.userId === String(userId)) && (!state || r.state === state))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getRequest(id) {
+    return load().find(r => r.id === id) || null;
+}
+
+// Returns an error message, or null when the request can be filed
+function validateRequest(userId, data, now = new Date()) {
+    if (!isDateKey(data.date)) return 'Date must be YYYY-MM-DD';
+    if (!TIME_RE.test(String(data.time || ''))) return 'Time must be HH:MM';
+    const stateError = punchStates.validateState(data.status);
+    if (stateError) return stateError;
+    if (timezone.zonedDate(data.date, data.time) > now) return 'The time is still in the future';
+    if (!data.reason || !String(data.reason).trim()) return 'Please say what happened';
+    const duplicate = listRequests({ userId, state: 'pending' })
+        .find(r => r.date === data.date && r.time === data.time && r.status === Number(data.status));
+    if (duplicate) return `You already asked for this (${duplicate.id})`;
+    return null;
+}
+
+function addRequest(userId, data) {
+    load();
+    const request = {
+        id: storage.nextId('req', requests),
+        userId: String(userId),
+        date: data.date,
+        time: data.time,
+        status: Number(data.status),
+        reason: String(data.reason).trim(),
+        state: 'pending',
+        createdAt: new Date().toISOString()
+    };
+    requests.push(request);
+    save();
+    return request;
+}
+
+// Approves or rejects a pending request. Returns null when it was already decided.
+function reviewRequest(id, { approve, by, note, correctionId = null }) {
+    const request = getRequest(id);
+    if (!request || request.state !== 'pending') return null;
+    request.state = approve ? 'approved' : 'rejected';
+    request.reviewedBy = by;
+    request.reviewedAt = new Date().toISOString();
+    request.reviewNote = String(note || '').trim();
+    if (correctionId) request.correctionId = correctionId;
+    save();
+    return request;
+}
+
+module.exports = {
+    REQUEST_STATES,
+    listRequests,
+    getRequest,
+    validateRequest,
+    addRequest,
+    reviewRequest
+};
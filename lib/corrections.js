@@ -0,0 +1,201 @@
+const storage = require('./storage');
+const punchStore = require('./punchStore');
+const timezone = require('./timezone');
+
+// HR corrections to attendance, kept apart from the raw device archive.
+// 'manual' entries add a punch; 'void' entries hide a device punch by its key.
+// Every change is appended to the audit trail with who made it and why.
+const CORRECTIONS_FILE = 'corrections.json';
+
+let data = null;
+
+function load() {
+    if (data) return data;
+    data = { entries: [], audit: [], ...storage.readJson(CORRECTIONS_FILE, {}) };
+    return data;
+}
+
+function save() {
+    storage.writeJson(CORRECTIONS_FILE, data);
+}
+
+function audit(action, entry, by, reason, before) {
+    data.audit.push({
+        id: `audit-${data.audit.length + 1}`,
+        at: new Date().toISOString(),
+        action,
+        correctionId: entry.id,
+        uid: entry.uid,
+        by,
+        reason,
+        before: before || null,
+        after: snapshot(entry)
+    });
+}
+
+function snapshot(entry) {
+    const { uid, timestamp, status, targetKey, voided } = entry;
+    return { uid, timestamp, status, targetKey, voided };
+}
+
+function listEntries(uid) {
+    const entries = load().entries;
+    return uid ? entries.filter(e => String(e.uid) === String(uid)) : entries;
+}
+
+function getEntry(id) {
+    return load().entries.find(e => e.id === id) || null;
+}
+
+function getAudit(uid) {
+    const trail = load().audit;
+    return uid ? trail.filter(a => String(a.uid) === String(uid)) : trail;
+}
+
+function addManualPunch({ uid, timestamp, status, reason, by }) {
+    load();
+    const now = new Date().toISOString();
+    const entry = {
+        id: storage.nextId('corr', data.entries),
+        type: 'manual',
+        uid: String(uid),
+        timestamp: new Date(timestamp).toISOString(),
+        status: Number(status),
+        reason,
+        createdBy: by,
+        createdAt: now,
+        updatedAt: now,
+        voided: false
+    };
+    data.entries.push(entry);
+    if (!data.timezone) data.timezone = timezone.officeZone();
+    audit('add', entry, by, reason);
+    save();
+    return entry;
+}
+
+function editManualPunch(id, { uid, timestamp, status, reason, by }) {
+    const entry = getEntry(id);
+    if (!entry || entry.type !== 'manual' || entry.voided) return null;
+
+    const before = snapshot(entry);
+    if (uid !== undefined) entry.uid = String(uid);
+    if (timestamp !== undefined) entry.timestamp = new Date(timestamp).toISOString();
+    if (status !== undefined) entry.status = Number(status);
+    entry.reason = reason;
+    entry.updatedAt = new Date().toISOString();
+    audit('edit', entry, by, reason, before);
+    save();
+    return entry;
+}
+
+// Voids a manual punch, or cancels an earlier void of a device punch
+function voidEntry(id, { reason, by }) {
+    const entry = getEntry(id);
+    if (!entry || entry.voided) return null;
+
+    const before = snapshot(entry);
+    entry.voided = true;
+    entry.voidedBy = by;
+    entry.voidedAt = new Date().toISOString();
+    audit(entry.type === 'void' ? 'restore_device_punch' : 'void', entry, by, reason, before);
+    save();
+    return entry;
+}
+
+function voidDevicePunch({ punchKey, reason, by }) {
+    const target = punchStore.getPunches().find(p => punchStore.punchKey(p) === punchKey);
+    if (!target) return null;
+
+    load();
+    const existing = data.entries.find(e => e.type === 'void' && !e.voided && e.targetKey === punchKey);
+    if (existing) return existing;
+
+    const now = new Date().toISOString();
+    const entry = {
+        id: storage.nextId('corr', data.entries),
+        type: 'void',
+        uid: String(target.uid),
+        timestamp: target.timestamp,
+        status: target.status,
+        targetKey: punchKey,
+        reason,
+        createdBy: by,
+        createdAt: now,
+        updatedAt: now,
+        voided: false
+    };
+    data.entries.push(entry);
+    audit('void_device_punch', entry, by, reason);
+    save();
+    return entry;
+}
+
+// Voids follow the device punches they hide when those get new keys
+// (punchStore.retimeDevicePunches); moved is { oldKey: punch }
+function retargetVoids(moved) {
+    const targets = load().entries.filter(e => e.type === 'void' && moved[e.targetKey]);
+    if (!targets.length) return;
+    targets.forEach(e => {
+        const punch = moved[e.targetKey];
+        e.targetKey = punchStore.punchKey(punch);
+        e.timestamp = punch.timestamp;
+    });
+    save();
+}
+
+// Manual punches are entered as office clock times. When the office timezone changes they
+// keep that clock time, like the punches of devices without a zone of their own.
+// data.timezone is the zone they were entered in; returns how many moved.
+function rezoneManualPunches(zone) {
+    load();
+    const enteredIn = data.timezone || timezone.systemZone();
+    const manual = enteredIn === zone ? [] : data.entries.filter(e => e.type === 'manual');
+    manual.forEach(e => {
+        e.timestamp = timezone.moveZone(new Date(e.timestamp), enteredIn, zone).toISOString();
+    });
+    if (data.timezone === zone && !manual.length) return 0;
+    data.timezone = zone;
+    save();
+    return manual.length;
+}
+
+// Device punches minus voided ones, plus active manual punches, each tagged with its source
+function applyCorrections(devicePunches) {
+    const entries = load().entries.filter(e => !e.voided);
+    const voidedKeys = new Set(entries.filter(e => e.type === 'void').map(e => e.targetKey));
+
+    const merged = [];
+    devicePunches.forEach(p => {
+        const key = punchStore.punchKey(p);
+        if (voidedKeys.has(key)) return;
+        merged.push({ ...p, punchKey: key, source: 'device' });
+    });
+
+    entries.filter(e => e.type === 'manual').forEach(e => {
+        merged.push({
+            uid: e.uid,
+            timestamp: e.timestamp,
+            status: e.status,
+            deviceId: null,
+            deviceSN: 'Manual',
+            source: 'manual',
+            correctionId: e.id
+        });
+    });
+
+    return merged;
+}
+
+module.exports = {
+    listEntries,
+    getEntry,
+    getAudit,
+    addManualPunch,
+    editManualPunch,
+    voidEntry,
+    voidDevicePunch,
+    retargetVoids,
+    rezoneManualPunches,
+    applyCorrections
+};
@@ -0,0 +1,116 @@
+const storage = require('./storage');
+const timezone = require('./timezone');
+const punchStore = require('./punchStore');
+
+// Registry of ZKTeco terminals the server pulls from (main entrance, back door...)
+const DEVICES_FILE = 'devices.json';
+// Ids of removed devices. Their punches stay archived under the old id, so it is never reused.
+const REMOVED_IDS_FILE = 'removed-device-ids.json';
+
+let devices = null;
+
+function load(defaults) {
+    if (devices) return devices;
+    devices = storage.readJson(DEVICES_FILE, null);
+    if (!Array.isArray(devices) || devices.length === 0) {
+        // First start: seed the registry with the single device the server used to know about
+        devices = [{
+            id: 'main',
+            name: 'Main Device',
+            ip: defaults.ip,
+            port: defaults.port,
+            location: '',
+            enabled: true
+        }];
+        storage.writeJson(DEVICES_FILE, devices);
+    }
+    return devices;
+}
+
+function save() {
+    storage.writeJson(DEVICES_FILE, devices);
+}
+
+function listDevices() {
+    return devices || [];
+}
+
+function getDevice(id) {
+    return listDevices().find(d => d.id === id) || null;
+}
+
+// Returns an error message, or null when the fields are usable
+function validateDevice(data, partial = false) {
+    if (!partial || data.name !== undefined) {
+        if (!data.name || !String(data.name).trim()) return 'Device name is required';
+    }
+    if (!partial || data.ip !== undefined) {
+        if (!data.ip || !String(data.ip).trim()) return 'Device IP is required';
+    }
+    if (!partial || data.port !== undefined) {
+        const port = parseInt(data.port);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) return 'Port must be between 1 and 65535';
+    }
+    // Only for a terminal whose clock runs in another zone than the office
+    if (data.timezone && !timezone.isValidZone(String(data.timezone))) return 'Timezone must be an IANA timezone like "Asia/Karachi"';
+    return null;
+}
+
+function idTaken(id) {
+    return !!getDevice(id)
+        || storage.readJson(REMOVED_IDS_FILE, []).includes(id)
+        // Devices removed before their ids were recorded
+        || punchStore.getPunches().some(p => p.deviceId === id);
+}
+
+function addDevice(data) {
+    const device = {
+        id: storage.slugId(data.name, 'device', idTaken),
+        name: String(data.name).trim(),
+        ip: String(data.ip).trim(),
+        port: parseInt(data.port),
+        location: data.location ? String(data.location).trim() : '',
+        timezone: data.timezone ? String(data.timezone).trim() : '',
+        enabled: data.enabled !== false
+    };
+    devices.push(device);
+    save();
+    return device;
+}
+
+function updateDevice(id, data) {
+    const device = getDevice(id);
+    if (!device) return null;
+    if (data.name !== undefined) device.name = String(data.name).trim();
+    if (data.ip !== undefined) {
+        // A different IP may be a different terminal; read its serial again on next pull
+        if (String(data.ip).trim() !== device.ip) delete device.serialNumber;
+        device.ip = String(data.ip).trim();
+    }
+    if (data.port !== undefined) device.port = parseInt(data.port);
+    if (data.location !== undefined) device.location = String(data.location).trim();
+    if (data.timezone !== undefined) device.timezone = data.timezone ? String(data.timezone).trim() : '';
+    if (data.enabled !== undefined) device.enabled = !!data.enabled;
+    if (data.serialNumber !== undefined) device.serialNumber = data.serialNumber;
+    save();
+    return device;
+}
+
+function removeDevice(id) {
+    const idx = listDevices().findIndex(d => d.id === id);
+    if (idx === -1) return false;
+    devices.splice(idx, 1);
+    save();
+    storage.writeJson(REMOVED_IDS_FILE, [...new Set([...storage.readJson(REMOVED_IDS_FILE, []), id])]);
+    return true;
+}
+
+module.exports = {
+    load,
+    listDevices,
+    getDevice,
+    validateDevice,
+    addDevice,
+    updateDevice,
+    removeDevice
+};
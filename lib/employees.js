@@ -0,0 +1,144 @@
+const storage = require('./storage');
+const spreadsheet = require('./spreadsheet');
+const { isDateKey } = require('./attendanceFilter');
+
+// HR details the terminal doesn't know about, keyed by the device user ID that
+// appears on punches. The HR employee code is what payroll and the cloud know them by.
+const EMPLOYEES_FILE = 'employees.json';
+
+let directory = null;
+
+function load() {
+    if (directory) return directory;
+    directory = storage.readJson(EMPLOYEES_FILE, {});
+    return directory;
+}
+
+function save() {
+    storage.writeJson(EMPLOYEES_FILE, directory);
+}
+
+function listEmployees() {
+    return Object.values(load()).sort((a, b) => a.userId.localeCompare(b.userId, undefined, { numeric: true }));
+}
+
+function getEmployee(userId) {
+    return load()[String(userId)] || null;
+}
+
+function listDepartments() {
+    return [...new Set(listEmployees().map(e => e.department).filter(Boolean))].sort();
+}
+
+// Returns an error message, or null when the fields are usable
+function validateEmployee(data, partial = false) {
+    if (!partial && !String(data.userId || '').trim()) return 'Device user ID is required';
+    if (data.joiningDate !== undefined && data.joiningDate !== '' && data.joiningDate !== null) {
+        if (!isDateKey(data.joiningDate)) return 'Joining date must be YYYY-MM-DD';
+    }
+    if (data.employeeCode !== undefined && data.employeeCode !== '') {
+        const owner = listEmployees().find(e => e.employeeCode === String(data.employeeCode).trim());
+        if (owner && owner.userId !== String(data.userId)) return `Employee code ${data.employeeCode} already belongs to user ${owner.userId}`;
+    }
+    return null;
+}
+
+function clean(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+// Creates or updates; fields left out keep their stored value
+function saveEmployee(userId, data) {
+    load();
+    const id = String(userId).trim();
+    const existing = directory[id] || { userId: id, employeeCode: '', name: '', department: '', designation: '', joiningDate: '', active: true };
+    const employee = { ...existing };
+    ['employeeCode', 'name', 'department', 'designation', 'joiningDate'].forEach(field => {
+        if (data[field] !== undefined) employee[field] = clean(data[field]);
+    });
+    if (data.active !== undefined) employee.active = !!data.active;
+    employee.updatedAt = new Date().toISOString();
+    directory[id] = employee;
+    save();
+    return employee;
+}
+
+function removeEmployee(userId) {
+    load();
+    if (!directory[String(userId)]) return false;
+    delete directory[String(userId)];
+    save();
+    return true;
+}
+
+// --- IMPORT ---
+
+// Accepted spellings of each column header (lib/spreadsheet.js)
+const IMPORT_COLUMNS = {
+    userId: ['userid', 'deviceuserid', 'deviceid', 'enrollid', 'enrollno', 'enrollnumber', 'acno'],
+    employeeCode: ['employeecode', 'empcode', 'code', 'employeeid', 'empno', 'employeeno'],
+    name: ['name', 'fullname', 'employeename'],
+    department: ['department', 'dept'],
+    designation: ['designation', 'title', 'jobtitle', 'position'],
+    joiningDate: ['joiningdate', 'dateofjoining', 'doj', 'joined', 'startdate'],
+    active: ['active', 'status']
+};
+
+// Spreadsheet cells may hold real dates, YYYY-MM-DD text or DD/MM/YYYY text
+function parseDateCell(value) {
+    if (value === '' || value === null || value === undefined) return '';
+    // Unreadable text is left as-is so validation reports it
+    return spreadsheet.readDate(value) || String(value).trim();
+}
+
+function parseActiveCell(value) {
+    if (value === '' || value === null || value === undefined) return undefined;
+    return !['inactive', 'no', 'n', 'false', '0', 'left', 'resigned'].includes(String(value).trim().toLowerCase());
+}
+
+// Reads the first sheet of a CSV or XLSX upload into directory records
+function parseImport(buffer) {
+    return spreadsheet.readRows(buffer, IMPORT_COLUMNS).map(({ cells: record }) => {
+        if (record.userId !== undefined) record.userId = clean(record.userId);
+        if (record.joiningDate !== undefined) record.joiningDate = parseDateCell(record.joiningDate);
+        if (record.active !== undefined) record.active = parseActiveCell(record.active);
+        return record;
+    });
+}
+
+// Validates every row first; with dryRun nothing is written
+function importEmployees(buffer, { dryRun = false } = {}) {
+    const records = parseImport(buffer);
+    const result = { total: records.length, created: 0, updated: 0, errors: [] };
+    const valid = [];
+    const codesInFile = {};
+
+    records.forEach((record, idx) => {
+        let error = validateEmployee(record);
+        const code = clean(record.employeeCode);
+        if (!error && code) {
+            if (codesInFile[code] && codesInFile[code] !== record.userId) {
+                error = `Employee code ${code} is also used by user ${codesInFile[code]} in this file`;
+            }
+            codesInFile[code] = codesInFile[code] || record.userId;
+        }
+        // Header row is line 1, so data starts on line 2
+        if (error) return result.errors.push({ row: idx + 2, userId: record.userId || null, message: error });
+        if (getEmployee(record.userId)) result.updated++;
+        else result.created++;
+        valid.push(record);
+    });
+
+    if (!dryRun) valid.forEach(record => saveEmployee(record.userId, record));
+    return result;
+}
+
+module.exports = {
+    listEmployees,
+    getEmployee,
+    listDepartments,
+    validateEmployee,
+    saveEmployee,
+    removeEmployee,
+    importEmployees
+};
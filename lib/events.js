@@ -0,0 +1,34 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// In-process event bus. The server publishes what happened (new punches, devices
+// going offline, failed syncs); webhooks and the live dashboard stream subscribe to it.
+// EVENT_TYPES are the ones webhooks can subscribe to. The dashboard additionally gets
+// 'device-status' (after every pull round), 'attendance-changed' (after corrections) and
+// 'correction-requested' (an employee asked HR to fix their attendance).
+const EVENT_TYPES = ['punch', 'employee-in', 'employee-out', 'device-offline', 'sync-failed'];
+
+const bus = new EventEmitter();
+
+function publish(type, data) {
+    const event = {
+        id: crypto.randomUUID(),
+        type,
+        occurredAt: new Date().toISOString(),
+        data
+    };
+    bus.emit('event', event);
+    return event;
+}
+
+// Returns a function that removes the listener again
+function subscribe(listener) {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+}
+
+module.exports = {
+    EVENT_TYPES,
+    publish,
+    subscribe
+};
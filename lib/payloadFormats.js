@@ -0,0 +1,178 @@
+// How attendance is shaped before it is sent to an HR / payroll system.
+// Every format builds records with fixed internal field names; a sync target can
+// rename any field (or drop it with an empty name) and pick JSON or CSV encoding.
+const punchStates = require('./punchStates');
+const { sortLogs } = require('./attendanceFilter');
+
+function formatDuration(totalMs) {
+    const h = Math.floor(totalMs / 3600000);
+    const m = Math.floor((totalMs % 3600000) / 60000);
+    const s = Math.floor((totalMs % 60000) / 1000);
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+// The HR employee code from the directory when one is set, otherwise the device user ID
+function employeeCode(result, uid) {
+    const employee = (result.employees || {})[String(uid)];
+    return employee && employee.employeeCode ? employee.employeeCode : String(uid);
+}
+
+function directoryField(result, uid, field) {
+    const employee = (result.employees || {})[String(uid)];
+    return employee ? employee[field] || '' : '';
+}
+
+// Both builders take the result of getUnifiedData(): { summary, data (punch logs), userNames, employees }
+const FORMATS = {
+    // One row per employee per day in the range - the shape the Jantrah import has always
+    // used. Days without punches carry day_status Absent, Leave, Holiday or Weekend.
+    'daily-summary': {
+        label: 'Daily summary (one row per employee per day)',
+        fields: [
+            'employee_code_id', 'name', 'department', 'designation', 'date', 'first_Check_In', 'last_check_out', 'total_time_worked',
+            'break_minutes', 'shift', 'late_minutes', 'early_leave_minutes', 'overtime_minutes', 'status', 'day_status', 'leave_type',
+            'holiday', 'anomalies', 'logs'
+        ],
+        build(result) {
+            const records = [];
+            for (const uid in result.summary) {
+                for (const date in result.summary[uid]) {
+                    const s = result.summary[uid][date];
+                    records.push({
+                        employee_code_id: employeeCode(result, uid),
+                        name: result.userNames[uid] || 'Unknown',
+                        department: directoryField(result, uid, 'department'),
+                        designation: directoryField(result, uid, 'designation'),
+                        date: date,
+                        first_Check_In: s.firstIn,
+                        last_check_out: s.lastOut,
+                        total_time_worked: formatDuration(s.totalMs || 0),
+                        break_minutes: s.breakMinutes || 0,
+                        shift: s.shift,
+                        late_minutes: s.lateMinutes,
+                        early_leave_minutes: s.earlyLeaveMinutes,
+                        overtime_minutes: s.overtimeMinutes,
+                        status: s.status,
+                        day_status: s.dayStatus,
+                        leave_type: s.leave ? `${s.leave.type}${s.leave.portion === 'half' ? ' (half day)' : ''}` : null,
+                        holiday: s.holiday || null,
+                        anomalies: (s.anomalies || []).map(a => a.message),
+                        logs: s.logs || []
+                    });
+                }
+            }
+            return records;
+        }
+    },
+
+    // One row per punch, oldest first, for systems that do their own pairing
+    'raw-punches': {
+        label: 'Raw punches (one row per punch)',
+        fields: ['employee_code_id', 'name', 'department', 'designation', 'date', 'time', 'timestamp', 'local_timestamp', 'punch_type', 'status_code', 'device', 'source'],
+        build(result) {
+            // Whatever order the filter asked for, the receiver gets them in time order
+            return sortLogs(result.data, { sort: 'time', order: 'asc' }).map(log => {
+                return {
+                    employee_code_id: employeeCode(result, log.uid),
+                    name: log.userName || result.userNames[String(log.uid)] || 'Unknown',
+                    department: directoryField(result, log.uid, 'department'),
+                    designation: directoryField(result, log.uid, 'designation'),
+                    // Date and time as the clock where the punch was made showed them
+                    date: log.localTime.slice(0, 10),
+                    time: log.localTime.slice(11, 19),
+                    timestamp: log.timestamp,
+                    local_timestamp: log.localTime,
+                    punch_type: punchStates.typeOf(log.status),
+                    status_code: log.status,
+                    device: log.deviceSN,
+                    source: log.source
+                };
+            });
+        }
+    }
+};
+
+const ENCODINGS = ['json', 'csv'];
+
+const DEFAULT_FORMAT = { type: 'daily-summary', encoding: 'json', fields: {} };
+
+function listFormats() {
+    return Object.keys(FORMATS).map(type => ({ type, label: FORMATS[type].label, fields: FORMATS[type].fields }));
+}
+
+// Returns an error message, or null when the format settings are usable
+function validateFormat(format) {
+    if (format === undefined || format === null) return null;
+    if (typeof format !== 'object') return 'Format must be an object';
+    if (format.type !== undefined && !FORMATS[format.type]) {
+        return `Format type must be one of: ${Object.keys(FORMATS).join(', ')}`;
+    }
+    if (format.encoding !== undefined && !ENCODINGS.includes(format.encoding)) {
+        return `Encoding must be one of: ${ENCODINGS.join(', ')}`;
+    }
+    if (format.fields !== undefined) {
+        if (typeof format.fields !== 'object' || Array.isArray(format.fields)) return 'Field names must be an object of { field: "name" }';
+        const known = FORMATS[format.type || DEFAULT_FORMAT.type].fields;
+        const unknown = Object.keys(format.fields).filter(f => !known.includes(f));
+        if (unknown.length) return `Unknown field(s): ${unknown.join(', ')}`;
+    }
+    return null;
+}
+
+function normalizeFormat(format) {
+    const f = { ...DEFAULT_FORMAT, ...(format || {}) };
+    return { type: f.type, encoding: f.encoding, fields: { ...(f.fields || {}) } };
+}
+
+// Records with the internal field names, e.g. for the sync ledger
+function buildRecords(type, result) {
+    return FORMATS[type].build(result);
+}
+
+// Rename fields as configured; a field mapped to '' (or false/null) is left out
+function mapRecord(record, fieldOrder, names) {
+    const out = {};
+    fieldOrder.forEach(field => {
+        const name = names[field] === undefined ? field : names[field];
+        if (!name) return;
+        out[name] = record[field];
+    });
+    return out;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+        value = value.map(v => (v && typeof v === 'object') ? `${v.time} ${v.type}` : v).join('; ');
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records, columns) {
+    const lines = [columns.map(csvCell).join(',')];
+    records.forEach(r => lines.push(columns.map(c => csvCell(r[c])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Builds the request body for one target. `count` is the number of rows sent.
+function render(format, result) {
+    const { type, encoding, fields } = normalizeFormat(format);
+    const definition = FORMATS[type];
+    const records = definition.build(result).map(r => mapRecord(r, definition.fields, fields));
+
+    if (encoding === 'csv') {
+        const columns = definition.fields.map(f => fields[f] === undefined ? f : fields[f]).filter(Boolean);
+        return { type, encoding, count: records.length, contentType: 'text/csv; charset=utf-8', body: toCsv(records, columns) };
+    }
+    return { type, encoding, count: records.length, contentType: 'application/json', body: JSON.stringify(records) };
+}
+
+module.exports = {
+    DEFAULT_FORMAT,
+    listFormats,
+    validateFormat,
+    normalizeFormat,
+    buildRecords,
+    render
+};
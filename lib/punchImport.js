@@ -0,0 +1,284 @@
+const storage = require('./storage');
+const punchStore = require('./punchStore');
+const punchStates = require('./punchStates');
+const timezone = require('./timezone');
+const attendanceRules = require('./attendanceRules');
+const spreadsheet = require('./spreadsheet');
+
+// Attendance brought in from files instead of over the network: the attlog and user.dat
+// a ZKTeco terminal writes to a USB stick, or a CSV / XLSX typed up by hand. Imported
+// punches belong to the chosen device, so a later pull of the same log finds them archived.
+const IMPORTS_FILE = 'punch-imports.json';
+const IMPORT_FORMATS = ['attlog', 'users', 'csv'];
+const USER_RECORD_SIZE = 72;
+const PREVIEW_ROWS = 50;
+const HISTORY_LIMIT = 100;
+
+// "  101\t2024-05-06 09:00:00\t1\t0\t1\t0": user ID, time, device no., state, verify mode, work code
+const ATTLOG_LINE_RE = /^\s*\S+\t\s*\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}/;
+
+// Accepted spellings of each column header (lib/spreadsheet.js)
+const IMPORT_COLUMNS = {
+    userId: ['userid', 'deviceuserid', 'enrollid', 'enrollno', 'enrollnumber', 'acno', 'uid', 'pin', 'id'],
+    dateTime: ['datetime', 'timestamp', 'punchtime', 'checktime', 'recordtime'],
+    date: ['date', 'punchdate'],
+    time: ['time'],
+    state: ['state', 'status', 'punchstate', 'punchtype', 'type', 'inout', 'checktype']
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// XLSX files are zip archives
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// attlog is text with tab-separated lines, user.dat is binary; anything else is a spreadsheet.
+// The file name and the zip header decide first, since an XLSX file can be a multiple of
+// 72 bytes too; only then does a binary file's size make it a user.dat.
+function detectFormat(buffer, filename = '') {
+    const name = String(filename).toLowerCase();
+    if (/attlog/.test(name)) return 'attlog';
+    if (/user.*\.dat$/.test(name)) return 'users';
+    if (/\.(csv|xlsx?)$/.test(name) || buffer.subarray(0, 4).equals(ZIP_MAGIC)) return 'csv';
+    if (buffer.includes(0) && buffer.length % USER_RECORD_SIZE === 0) return 'users';
+    const firstLine = buffer.toString('utf8').split(/\r?\n/).find(line => line.trim());
+    return firstLine && ATTLOG_LINE_RE.test(firstLine) ? 'attlog' : 'csv';
+}
+
+// --- PARSING ---
+// Each parser returns { records, errors }; a record is { line, userId, date, time, status }
+// with the clock reading as written, or { line, userId, instant, status } when the file
+// already gave an offset.
+
+function parseAttlog(buffer) {
+    const records = [];
+    const errors = [];
+    buffer.toString('utf8').split(/\r?\n/).forEach((text, idx) => {
+        if (!text.trim()) return;
+        const fields = text.split('\t').map(f => f.trim());
+        const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})$/.exec(fields[1] || '');
+        if (!fields[0] || !match) {
+            return errors.push({ line: idx + 1, message: 'Not an attlog line (user ID, tab, YYYY-MM-DD HH:mm:ss)' });
+        }
+        records.push({ line: idx + 1, userId: fields[0], date: match[1], time: match[2], status: punchStates.parseState(fields[3]) });
+    });
+    return { records, errors };
+}
+
+function asciiField(buffer, start, length) {
+    return buffer.subarray(start, start + length).toString('ascii').split('\0').shift().trim();
+}
+
+// Same 72-byte layout the terminal sends over the network
+function parseUserDat(buffer) {
+    if (buffer.length % USER_RECORD_SIZE !== 0) {
+        throw new Error(`user.dat should be made of ${USER_RECORD_SIZE}-byte records; this file is ${buffer.length} bytes`);
+    }
+    const users = [];
+    for (let offset = 0; offset < buffer.length; offset += USER_RECORD_SIZE) {
+        const record = buffer.subarray(offset, offset + USER_RECORD_SIZE);
+        const user = {
+            uid: record.readUIntLE(0, 2),
+            role: record.readUIntLE(2, 1),
+            password: asciiField(record, 3, 8),
+            name: asciiField(record, 11, 24),
+            cardno: record.readUIntLE(35, 4),
+            userId: asciiField(record, 48, 9)
+        };
+        // Deleted slots are left zeroed
+        if (user.uid || user.userId) users.push(user);
+    }
+    return users;
+}
+
+// Spreadsheet time cells arrive as Dates holding the typed clock reading in server time
+function cellTime(value) {
+    return `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+}
+
+// HH:mm, HH:mm:ss, with or without AM/PM
+function parseTimeText(text) {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i.exec(text);
+    if (!match) return null;
+    let hour = Number(match[1]);
+    const meridiem = match[4] && match[4][0].toLowerCase();
+    if (meridiem === 'p' && hour < 12) hour += 12;
+    if (meridiem === 'a' && hour === 12) hour = 0;
+    if (hour > 23 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) return null;
+    return `${pad(hour)}:${match[2]}:${match[3] || '00'}`;
+}
+
+// { date, time } from the date-time cell, or from separate date and time cells;
+// { instant } when the text carries its own offset; null when unreadable
+function readWhen(record) {
+    if (record.dateTime instanceof Date) return { date: spreadsheet.readDate(record.dateTime), time: cellTime(record.dateTime) };
+
+    const dateTime = String(record.dateTime === undefined ? '' : record.dateTime).trim();
+    if (dateTime) {
+        if (/(Z|[+-]\d{2}:?\d{2})$/.test(dateTime) && /T/.test(dateTime)) {
+            const instant = new Date(dateTime);
+            return isNaN(instant.getTime()) ? null : { instant };
+        }
+        const [datePart, ...rest] = dateTime.split(/[T ]+/);
+        const date = spreadsheet.readDate(datePart);
+        const time = parseTimeText(rest.join(' '));
+        return date && time ? { date, time } : null;
+    }
+
+    const date = spreadsheet.readDate(record.date);
+    const time = record.time instanceof Date ? cellTime(record.time) : parseTimeText(String(record.time || '').trim());
+    return date && time ? { date, time } : null;
+}
+
+function parseSheet(buffer) {
+    const records = [];
+    const errors = [];
+    spreadsheet.readRows(buffer, IMPORT_COLUMNS).forEach(({ line, cells }) => {
+        // A lone "Time" column usually holds the whole date and time
+        if (cells.date === undefined && cells.dateTime === undefined) cells.dateTime = cells.time;
+
+        const userId = String(cells.userId === undefined ? '' : cells.userId).trim();
+        if (!userId) return errors.push({ line, message: 'User ID is required' });
+        const when = readWhen(cells);
+        if (!when) return errors.push({ line, message: 'Date and time must look like 2024-05-06 09:00 or 06/05/2024 09:00' });
+        const status = punchStates.parseState(cells.state);
+        if (status === null) return errors.push({ line, message: `Unknown punch state "${cells.state}"` });
+        records.push({ line, userId, ...when, status });
+    });
+    return { records, errors };
+}
+
+// --- IMPORT ---
+
+// A record's instant: file times without an offset are clock readings in the device's zone
+function instantOf(record, zone) {
+    return record.instant || timezone.zonedDate(record.date, record.time, zone);
+}
+
+// Reads the file and merges it into the archive; with dryRun only the preview is built.
+// device is the registry entry the punches were made on; zone is the one its clock shows.
+function importFile(buffer, { format, filename = '', device, zone, dryRun = false, by = null }) {
+    format = format || detectFormat(buffer, filename);
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw new Error(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    const result = format === 'users'
+        ? importUsers(buffer, device, dryRun)
+        : importPunches(buffer, format, device, zone, dryRun);
+
+    if (!dryRun) {
+        recordImport({
+            filename,
+            format,
+            deviceId: device.id,
+            by,
+            total: result.total,
+            added: result.added,
+            duplicates: result.duplicates,
+            errors: result.errors.length,
+            from: result.from || null,
+            to: result.to || null
+        });
+    }
+    return { format, deviceId: device.id, timezone: zone, ...result };
+}
+
+function importUsers(buffer, device, dryRun) {
+    const users = parseUserDat(buffer);
+    const known = new Set(punchStore.getUsers().map(u => String(u.userId || u.user_id || u.uid)));
+    const fresh = users.filter(u => !known.has(String(u.userId || u.uid)));
+    if (!dryRun && users.length) punchStore.mergeUsers(device.id, users);
+
+    return {
+        total: users.length,
+        added: fresh.length,
+        duplicates: users.length - fresh.length,
+        errors: [],
+        users: users.slice(0, PREVIEW_ROWS).map(u => ({
+            userId: u.userId || String(u.uid),
+            name: u.name,
+            cardno: u.cardno,
+            duplicate: known.has(String(u.userId || u.uid))
+        }))
+    };
+}
+
+function importPunches(buffer, format, device, zone, dryRun) {
+    const { records, errors } = format === 'attlog' ? parseAttlog(buffer) : parseSheet(buffer);
+    const total = records.length + errors.length;
+    const archived = new Set(punchStore.getPunches().map(punchStore.punchKey));
+    const inFile = new Set();
+    const now = Date.now();
+    const fresh = [];
+    const preview = [];
+    let duplicates = 0;
+
+    records.forEach(record => {
+        const instant = instantOf(record, zone);
+        if (isNaN(instant.getTime())) return errors.push({ line: record.line, message: 'Date and time could not be read' });
+        if (instant.getTime() > now) return errors.push({ line: record.line, message: 'Punch time is in the future' });
+
+        const punch = {
+            uid: record.userId,
+            timestamp: instant.toISOString(),
+            status: record.status,
+            deviceId: device.id,
+            deviceSN: device.serialNumber || device.name
+        };
+        const key = punchStore.punchKey(punch);
+        const duplicate = archived.has(key) || inFile.has(key);
+        if (duplicate) duplicates++;
+        else fresh.push(punch);
+        inFile.add(key);
+
+        if (preview.length < PREVIEW_ROWS) {
+            preview.push({
+                line: record.line,
+                uid: punch.uid,
+                localTime: timezone.isoWithOffset(instant, zone),
+                status: punch.status,
+                type: punchStates.typeOf(punch.status),
+                duplicate
+            });
+        }
+    });
+
+    errors.sort((a, b) => a.line - b.line);
+    const times = fresh.map(p => p.timestamp).sort();
+    const added = dryRun ? fresh : punchStore.addPunches(fresh);
+
+    return {
+        total,
+        added: added.length,
+        duplicates,
+        errors,
+        from: times.length ? timezone.isoWithOffset(new Date(times[0]), zone) : null,
+        to: times.length ? timezone.isoWithOffset(new Date(times[times.length - 1]), zone) : null,
+        // Work days the new punches land on, so summaries and syncs for them can be redone
+        dates: [...new Set(fresh.map(p => attendanceRules.workDateFor(p.uid, new Date(p.timestamp), zone)))].sort(),
+        preview
+    };
+}
+
+// --- HISTORY ---
+
+function recordImport(entry) {
+    const history = storage.readJson(IMPORTS_FILE, []);
+    // Newest first, and old entries are dropped, so count on from the newest id
+    const n = history.length ? Number(history[0].id.split('-')[1]) + 1 : 1;
+    history.unshift({ id: `import-${n}`, at: new Date().toISOString(), ...entry });
+    storage.writeJson(IMPORTS_FILE, history.slice(0, HISTORY_LIMIT));
+}
+
+function listImports() {
+    return storage.readJson(IMPORTS_FILE, []);
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    detectFormat,
+    parseAttlog,
+    parseUserDat,
+    importFile,
+    listImports
+};
@@ -0,0 +1,60 @@
+// Punch states reported by ZKTeco terminals (the state key pressed before the scan).
+// Terminals without state keys, and unknown codes, count as a check-in as they always did.
+const PUNCH_STATES = {
+    0: { type: 'check_in', label: 'Check In' },
+    1: { type: 'check_out', label: 'Check Out' },
+    2: { type: 'break_out', label: 'Break Out' },
+    3: { type: 'break_in', label: 'Break In' },
+    4: { type: 'overtime_in', label: 'OT In' },
+    5: { type: 'overtime_out', label: 'OT Out' }
+};
+
+const STATE_CODES = Object.keys(PUNCH_STATES).map(Number);
+
+function describeState(status) {
+    return PUNCH_STATES[Number(status)] || PUNCH_STATES[0];
+}
+
+function typeOf(status) {
+    return describeState(status).type;
+}
+
+function labelOf(status) {
+    return describeState(status).label;
+}
+
+// Returns an error message, or null for a state manual punches may use
+function validateState(status) {
+    if (status === '' || status === null || !STATE_CODES.includes(Number(status))) {
+        return `State must be one of: ${STATE_CODES.map(code => `${code} (${PUNCH_STATES[code].label.toLowerCase()})`).join(', ')}`;
+    }
+    return null;
+}
+
+// Plain In/Out columns from spreadsheets and older exports
+const STATE_ALIASES = { in: 0, i: 0, cin: 0, out: 1, o: 1, cout: 1 };
+
+function nameKey(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Reads a state from an import file: a code, a type ("check_out"), a label ("OT In") or
+// plain In/Out. An empty cell is a check-in; text nobody recognises gives null.
+function parseState(value) {
+    if (value === '' || value === null || value === undefined) return 0;
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return Number(text);
+    const key = nameKey(text);
+    const code = STATE_CODES.find(c => nameKey(PUNCH_STATES[c].type) === key || nameKey(PUNCH_STATES[c].label) === key);
+    if (code !== undefined) return code;
+    return key in STATE_ALIASES ? STATE_ALIASES[key] : null;
+}
+
+module.exports = {
+    PUNCH_STATES,
+    STATE_CODES,
+    typeOf,
+    labelOf,
+    validateState,
+    parseState
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const storage = require('./storage');
+
+// Append-only archive of every punch ever pulled from the terminal.
+// One JSON object per line; a punch is identified by user + timestamp + device
+// so re-downloading the full device log never creates duplicates.
+const PUNCH_FILE = 'punches.jsonl';
+const USERS_FILE = 'device-users.json';
+const META_FILE = 'punch-store-meta.json';
+
+let punches = null;
+let knownKeys = null;
+
+function punchKey(punch) {
+    return `${punch.uid}|${punch.timestamp}|${punch.deviceId || punch.deviceSN}`;
+}
+
+function load() {
+    if (punches) return;
+    punches = [];
+    knownKeys = new Set();
+
+    storage.readLines(PUNCH_FILE).forEach((line, idx) => {
+        let punch;
+        try {
+            punch = JSON.parse(line);
+        } catch (err) {
+            console.warn(`[STORE] Skipping unreadable punch on line ${idx + 1}`);
+            return;
+        }
+        const key = punchKey(punch);
+        if (knownKeys.has(key)) return;
+        knownKeys.add(key);
+        punches.push(punch);
+    });
+
+    console.log(`[STORE] Loaded ${punches.length} archived punches`);
+}
+
+function getPunches() {
+    load();
+    return punches;
+}
+
+// Adds any punches not seen before and returns only the new ones
+function addPunches(list) {
+    load();
+    const fresh = [];
+    list.forEach(punch => {
+        const key = punchKey(punch);
+        if (knownKeys.has(key)) return;
+        knownKeys.add(key);
+        punches.push(punch);
+        fresh.push(punch);
+    });
+
+    storage.appendLines(PUNCH_FILE, fresh.map(p => JSON.stringify(p)));
+    return fresh;
+}
+
+// The punches from list that are not in the archive file. Reads the file itself rather
+// than the copy in memory, so a punch only counts once it is really on disk.
+function missingFromArchive(list) {
+    const onDisk = new Set();
+    storage.readLines(PUNCH_FILE).forEach(line => {
+        try { onDisk.add(punchKey(JSON.parse(line))); } catch (err) { /* Unreadable lines hold no punch */ }
+    });
+    return list.filter(p => !onDisk.has(punchKey(p)));
+}
+
+// Punches archived before devices had ids were all tagged 'ZK-Device'.
+// Attribute them to the given device so they de-duplicate against new pulls.
+function adoptLegacyPunches(deviceId, deviceSN) {
+    load();
+    const legacy = punches.filter(p => !p.deviceId);
+    if (!legacy.length) return 0;
+
+    legacy.forEach(p => {
+        p.deviceId = deviceId;
+        p.deviceSN = deviceSN;
+    });
+    rewrite();
+    console.log(`[STORE] Attributed ${legacy.length} legacy punches to device ${deviceId}`);
+    return legacy.length;
+}
+
+// Gives a device's archived punches new timestamps, e.g. when the timezone its clock is read
+// in changes. convert(timestamp) returns the new ISO timestamp. Returns { oldKey: punch }
+// for every punch that moved, so references to the old keys can follow.
+function retimeDevicePunches(deviceId, convert) {
+    load();
+    const moved = {};
+    punches.forEach(p => {
+        if (p.deviceId !== deviceId) return;
+        const before = punchKey(p);
+        p.timestamp = convert(p.timestamp);
+        if (punchKey(p) !== before) moved[before] = p;
+    });
+    if (Object.keys(moved).length) rewrite();
+    return moved;
+}
+
+function rewrite() {
+    const seen = new Set();
+    punches = punches.filter(p => {
+        const key = punchKey(p);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    knownKeys = seen;
+
+    const file = storage.dataPath(PUNCH_FILE);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, punches.map(p => JSON.stringify(p)).join('\n') + (punches.length ? '\n' : ''));
+    fs.renameSync(tmp, file);
+}
+
+// Last user list read from each device, so names resolve without a device round trip
+function readUserCache() {
+    const cache = storage.readJson(USERS_FILE, {});
+    // Older installs stored a single device's list as a plain array
+    return Array.isArray(cache) ? { legacy: cache } : cache;
+}
+
+function getUsers() {
+    const cache = readUserCache();
+    const merged = {};
+    Object.values(cache).forEach(list => {
+        list.forEach(u => {
+            const id = String(u.userId || u.user_id || u.uid);
+            if (!merged[id]) merged[id] = u;
+        });
+    });
+    return Object.values(merged);
+}
+
+function saveUsers(deviceId, users) {
+    const cache = readUserCache();
+    delete cache.legacy;
+    cache[deviceId] = users;
+    storage.writeJson(USERS_FILE, cache);
+}
+
+// Adds users to a device's cached list, replacing entries with the same user ID
+function mergeUsers(deviceId, users) {
+    const cache = readUserCache();
+    const byId = {};
+    (cache[deviceId] || []).concat(users).forEach(u => {
+        byId[String(u.userId || u.user_id || u.uid)] = u;
+    });
+    saveUsers(deviceId, Object.values(byId));
+}
+
+// Per-device log/user counters from the last pull, used to skip unchanged downloads
+function getMeta(deviceId) {
+    return storage.readJson(META_FILE, {})[deviceId] || {};
+}
+
+function saveMeta(deviceId, meta) {
+    const all = storage.readJson(META_FILE, {});
+    all[deviceId] = { ...(all[deviceId] || {}), ...meta };
+    storage.writeJson(META_FILE, all);
+}
+
+module.exports = {
+    punchKey,
+    getPunches,
+    addPunches,
+    missingFromArchive,
+    adoptLegacyPunches,
+    retimeDevicePunches,
+    getUsers,
+    saveUsers,
+    mergeUsers,
+    getMeta,
+    saveMeta
+};
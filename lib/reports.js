@@ -0,0 +1,276 @@
+const XLSX = require('xlsx');
+const PDFDocument = require('pdfkit');
+const { describeFilter } = require('./attendanceFilter');
+const punchStates = require('./punchStates');
+const timezone = require('./timezone');
+
+// Server-side reports built from a getUnifiedData() result. Every report is a
+// table (header row plus rows) that can be rendered as JSON, CSV, XLSX or PDF.
+
+const REPORT_FORMATS = ['xlsx', 'csv', 'pdf', 'json'];
+
+// Letter shown in the register for each day status
+const DAY_CODES = { Present: 'P', Absent: 'A', Leave: 'L', Holiday: 'H', Weekend: 'W' };
+
+function hoursAndMinutes(totalMs) {
+    const mins = Math.floor((totalMs || 0) / 60000);
+    return `${Math.floor(mins / 60)}:${String(mins % 60).padStart(2, '0')}`;
+}
+
+function decimalHours(ms) {
+    return Math.round((ms / 3600000) * 100) / 100;
+}
+
+// YYYY-MM-DD HH:mm:ss in the office's timezone
+function localDateTime(timestamp) {
+    const d = new Date(timestamp);
+    return `${timezone.dateKey(d)} ${timezone.timeOf(d)}`;
+}
+
+// A punch as the clock where it was made showed it (localTime from getUnifiedData)
+function punchDateTime(log) {
+    return log.localTime ? log.localTime.slice(0, 19).replace('T', ' ') : localDateTime(log.timestamp);
+}
+
+function employeeColumns(result, uid) {
+    const employee = (result.employees || {})[String(uid)] || {};
+    return [employee.employeeCode || '', result.userNames[String(uid)] || 'Unknown', employee.department || '', employee.designation || ''];
+}
+
+function daysInMonth(month) {
+    const [y, m] = month.split('-').map(Number);
+    const count = new Date(y, m, 0).getDate();
+    return Array.from({ length: count }, (_, i) => `${month}-${String(i + 1).padStart(2, '0')}`);
+}
+
+// --- MONTHLY REGISTER ---
+
+// Payroll totals over one employee's summary days (date -> summary row)
+function monthTotals(days, dates) {
+    const totals = { present: 0, absent: 0, leave: 0, holidays: 0, late: 0, workedMs: 0, overtimeMinutes: 0 };
+    dates.forEach(date => {
+        const day = days[date];
+        if (!day) return;
+        if (day.dayStatus === 'Present') totals.present++;
+        else if (day.dayStatus === 'Absent') totals.absent++;
+        else if (day.dayStatus === 'Holiday') totals.holidays++;
+        // A half-day leave counts as half, whether or not they came in for the rest
+        if (day.leave) totals.leave += day.leave.portion === 'half' ? 0.5 : 1;
+        if (day.lateMinutes > 0) totals.late++;
+        totals.workedMs += day.totalMs || 0;
+        totals.overtimeMinutes += day.overtimeMinutes || 0;
+    });
+    return {
+        present: totals.present,
+        absent: totals.absent,
+        leave: totals.leave,
+        holidays: totals.holidays,
+        late: totals.late,
+        totalHours: decimalHours(totals.workedMs),
+        overtimeHours: decimalHours(totals.overtimeMinutes * 60000)
+    };
+}
+
+// One row per employee, one column per day ("P 8:30", "A", "L", "H", "W"),
+// then the totals payroll works from. Days still ahead in the month stay empty.
+function monthlyRegister(result, month) {
+    const dates = daysInMonth(month);
+    const employees = result.employees || {};
+    const header = [
+        'User ID', 'Employee Code', 'Name', 'Department', 'Designation',
+        ...dates.map(d => d.slice(8)), // "01" ... "31"
+        'Present', 'Absent', 'Leave', 'Holidays', 'Late', 'Total Hours', 'Overtime Hours'
+    ];
+
+    const rows = Object.keys(result.summary)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(uid => {
+            const days = result.summary[uid];
+            const employee = employees[uid] || {};
+            const totals = monthTotals(days, dates);
+
+            const cells = dates.map(date => {
+                const day = days[date];
+                if (!day) return '';
+                const code = DAY_CODES[day.dayStatus] || '';
+                return day.dayStatus === 'Present' ? `${code} ${hoursAndMinutes(day.totalMs)}` : code;
+            });
+
+            return [
+                uid, employee.employeeCode || '', result.userNames[uid] || 'Unknown', employee.department || '', employee.designation || '',
+                ...cells,
+                totals.present, totals.absent, totals.leave, totals.holidays, totals.late, totals.totalHours, totals.overtimeHours
+            ];
+        });
+
+    return { title: `Attendance Register ${month}`, subtitle: describeFilter(result.filterInfo), sheetName: `Register ${month}`, header, rows };
+}
+
+// --- LOGS & SUMMARY ---
+
+// Every punch in the filter, newest first (the order /api/attendance returns them)
+function logsTable(result) {
+    const header = ['User ID', 'Employee Code', 'Name', 'Department', 'Designation', 'Date & Time', 'State', 'Device', 'Source'];
+    const rows = result.data.map(log => [
+        String(log.uid), ...employeeColumns(result, log.uid),
+        punchDateTime(log), punchStates.labelOf(log.status), log.deviceSN || '', log.source === 'manual' ? 'Manual' : 'Device'
+    ]);
+    return { title: 'Attendance Logs', subtitle: describeFilter(result.filterInfo), sheetName: 'Attendance Logs', header, rows };
+}
+
+// One row per employee per day, as in the dashboard's Daily Summary table
+function summaryTable(result) {
+    const header = [
+        'User ID', 'Employee Code', 'Name', 'Department', 'Designation', 'Date', 'First In', 'Last Out', 'Total Time', 'Break (min)',
+        'Shift', 'Late (min)', 'Early Leave (min)', 'Overtime (min)', 'Status', 'Day Status', 'Holiday / Leave', 'Anomalies', 'Manual Punches'
+    ];
+    const rows = [];
+    for (const uid in result.summary) {
+        for (const date in result.summary[uid]) {
+            const s = result.summary[uid][date];
+            const dayNote = [s.holiday, s.leave ? `${s.leave.type} leave${s.leave.portion === 'half' ? ' (half day)' : ''}` : null].filter(Boolean).join(', ');
+            rows.push([
+                uid, ...employeeColumns(result, uid), date, s.firstIn, s.lastOut, s.duration, s.breakMinutes || 0,
+                s.shift || '', s.lateMinutes || 0, s.earlyLeaveMinutes || 0, s.overtimeMinutes || 0, s.status || '',
+                s.dayStatus || '', dayNote, (s.anomalies || []).map(a => a.message).join('; '),
+                (s.logs || []).filter(l => l.manual).length
+            ]);
+        }
+    }
+    return { title: 'Attendance Summary', subtitle: describeFilter(result.filterInfo), sheetName: 'Attendance Summary', header, rows };
+}
+
+// --- PDF ---
+
+const PDF_MARGIN = 30;
+const SIGNATURES = ['Prepared By', 'Checked By', 'Approved By'];
+
+// Column widths follow the longest text in each column, scaled to fit the page
+function pdfColumnWidths(doc, table, available) {
+    const natural = table.header.map((h, i) => {
+        const longest = table.rows.reduce((max, row) => Math.max(max, doc.widthOfString(String(row[i] ?? '').substring(0, 40))), 0);
+        return Math.max(doc.widthOfString(h), longest) + 6;
+    });
+    const total = natural.reduce((a, b) => a + b, 0);
+    return natural.map(w => (w * available) / total);
+}
+
+function renderPdf(table, { company }) {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PDF_MARGIN, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const left = PDF_MARGIN;
+    const available = doc.page.width - PDF_MARGIN * 2;
+    const bottom = doc.page.height - PDF_MARGIN - 20; // Room for the page number
+
+    // Company header
+    doc.font('Helvetica-Bold').fontSize(16).text(company, left, PDF_MARGIN, { width: available, align: 'center' });
+    doc.font('Helvetica-Bold').fontSize(12).text(table.title, { width: available, align: 'center' });
+    doc.font('Helvetica').fontSize(9).text(
+        [table.subtitle, `Generated ${localDateTime(Date.now())}`].filter(Boolean).join('  ·  '),
+        { width: available, align: 'center' }
+    );
+    doc.moveDown();
+
+    // Narrow fonts for wide tables such as the monthly register
+    const fontSize = table.header.length > 20 ? 6 : 8;
+    doc.fontSize(fontSize);
+    const widths = pdfColumnWidths(doc, table, available);
+    const rowHeight = fontSize + 6;
+
+    const drawRow = (cells, y, bold) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        let x = left;
+        cells.forEach((cell, i) => {
+            doc.text(String(cell ?? ''), x + 2, y + 3, { width: widths[i] - 4, height: rowHeight, lineBreak: false, ellipsis: true });
+            x += widths[i];
+        });
+        doc.moveTo(left, y + rowHeight).lineTo(left + available, y + rowHeight).lineWidth(0.3).strokeColor('#999999').stroke();
+    };
+
+    let y = doc.y;
+    drawRow(table.header, y, true);
+    y += rowHeight;
+    table.rows.forEach(row => {
+        if (y + rowHeight > bottom) {
+            doc.addPage();
+            y = PDF_MARGIN;
+            drawRow(table.header, y, true); // Repeat the header on every page
+            y += rowHeight;
+        }
+        drawRow(row, y, false);
+        y += rowHeight;
+    });
+    if (!table.rows.length) {
+        doc.font('Helvetica-Oblique').text('No records for this filter', left, y + 6, { width: available, align: 'center' });
+        y += rowHeight * 2;
+    }
+
+    // Signature lines
+    const signatureHeight = 60;
+    if (y + signatureHeight > bottom) {
+        doc.addPage();
+        y = PDF_MARGIN;
+    }
+    const lineY = y + signatureHeight - 15;
+    const slot = available / SIGNATURES.length;
+    doc.font('Helvetica').fontSize(9).strokeColor('#000000').lineWidth(0.7);
+    SIGNATURES.forEach((label, i) => {
+        const x = left + slot * i + 20;
+        doc.moveTo(x, lineY).lineTo(x + slot - 40, lineY).stroke();
+        doc.text(label, x, lineY + 4, { width: slot - 40, align: 'center' });
+    });
+
+    // Page numbers, once the page count is known
+    const pages = doc.bufferedPageRange();
+    for (let i = 0; i < pages.count; i++) {
+        doc.switchToPage(pages.start + i);
+        doc.font('Helvetica').fontSize(8).text(`Page ${i + 1} of ${pages.count}`, left, doc.page.height - PDF_MARGIN - 10,
+            { width: available, align: 'right', lineBreak: false });
+    }
+
+    doc.end();
+    return done;
+}
+
+// --- RENDERING ---
+
+// Resolves to { contentType, extension, body } for a report table.
+// options.company is printed at the top of PDFs.
+async function render(table, format, options = {}) {
+    if (format === 'pdf') {
+        return { contentType: 'application/pdf', extension: 'pdf', body: await renderPdf(table, { company: options.company || '' }) };
+    }
+    if (format === 'json') {
+        const records = table.rows.map(row => Object.fromEntries(table.header.map((h, i) => [h, row[i]])));
+        return { contentType: 'application/json', extension: 'json', body: JSON.stringify({ success: true, title: table.title, data: records }) };
+    }
+
+    const sheet = XLSX.utils.aoa_to_sheet([table.header, ...table.rows]);
+    if (format === 'csv') {
+        return { contentType: 'text/csv; charset=utf-8', extension: 'csv', body: XLSX.utils.sheet_to_csv(sheet, { RS: '\r\n' }) + '\r\n' };
+    }
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, table.sheetName.substring(0, 31)); // Excel's sheet name limit
+    return {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+        body: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+    };
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    daysInMonth,
+    monthTotals,
+    monthlyRegister,
+    logsTable,
+    summaryTable,
+    render
+};
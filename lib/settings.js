@@ -0,0 +1,196 @@
+const cronParser = require('cron-parser');
+const storage = require('./storage');
+const { isValidZone } = require('./zones');
+
+// Server settings that survive restarts: data/settings.json over the defaults below,
+// with environment variables on top (e.g. from a PM2 ecosystem file). A setting that
+// comes from the environment can't be changed through the API.
+const SETTINGS_FILE = 'settings.json';
+
+const DEFAULTS = {
+    port: 3000,
+    // Printed at the top of PDF reports and the dashboard
+    companyName: 'JTech',
+    // IANA timezone of the office, e.g. "Asia/Karachi"; empty means the server's own
+    timezone: '',
+    // Registered as the first device while the device registry is still empty
+    defaultDevice: { ip: '192.168.18.144', port: 4370 },
+    // Cron with seconds: 00:00:01 every day, pushing the previous day
+    autoSync: { enabled: true, schedule: '1 0 0 * * *' },
+    // Sets every device's clock from the server's; 03:00 every day when enabled
+    clockSync: { enabled: false, schedule: '0 0 3 * * *' },
+    // Other web apps allowed to call the API from a browser
+    corsOrigins: []
+};
+
+const FALSE_WORDS = ['false', '0', 'no', 'off'];
+
+// Environment variable -> [setting path, parser]
+const ENV_OVERRIDES = {
+    PORT: ['port', Number],
+    COMPANY_NAME: ['companyName', String],
+    OFFICE_TIMEZONE: ['timezone', String],
+    DEVICE_IP: ['defaultDevice.ip', String],
+    DEVICE_PORT: ['defaultDevice.port', Number],
+    AUTO_SYNC_ENABLED: ['autoSync.enabled', v => !FALSE_WORDS.includes(v.trim().toLowerCase())],
+    AUTO_SYNC_SCHEDULE: ['autoSync.schedule', String],
+    CLOCK_SYNC_ENABLED: ['clockSync.enabled', v => !FALSE_WORDS.includes(v.trim().toLowerCase())],
+    CLOCK_SYNC_SCHEDULE: ['clockSync.schedule', String],
+    CORS_ORIGINS: ['corsOrigins', v => v.split(',').map(o => o.trim()).filter(Boolean)]
+};
+
+let stored = null;   // What data/settings.json holds
+let current = null;  // Defaults + file + environment
+
+function getPath(obj, path) {
+    return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), obj);
+}
+
+function setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((o, key) => (o[key] = o[key] && typeof o[key] === 'object' ? o[key] : {}), obj);
+    parent[last] = value;
+}
+
+// Every setting as a dotted path, e.g. 'autoSync.schedule'
+const SETTING_PATHS = Object.keys(DEFAULTS).flatMap(key =>
+    DEFAULTS[key] && typeof DEFAULTS[key] === 'object' && !Array.isArray(DEFAULTS[key])
+        ? Object.keys(DEFAULTS[key]).map(sub => `${key}.${sub}`)
+        : [key]);
+
+function envOverrides() {
+    const values = {};
+    for (const name in ENV_OVERRIDES) {
+        if (process.env[name] === undefined || process.env[name] === '') continue;
+        const [path, parse] = ENV_OVERRIDES[name];
+        values[path] = { name, value: parse(process.env[name]) };
+    }
+    return values;
+}
+
+function merge(base, changes) {
+    const result = JSON.parse(JSON.stringify(base));
+    SETTING_PATHS.forEach(path => {
+        const value = getPath(changes, path);
+        if (value !== undefined) setPath(result, path, value);
+    });
+    return result;
+}
+
+function effective(fileSettings) {
+    const result = merge(DEFAULTS, fileSettings);
+    const env = envOverrides();
+    for (const path in env) setPath(result, path, env[path].value);
+    return result;
+}
+
+function isPort(value) {
+    return Number.isInteger(value) && value >= 1 && value <= 65535;
+}
+
+function isCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) return false;
+    try {
+        cronParser.parseExpression(expression);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+function isOrigin(value) {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) && url.origin === value;
+    } catch (err) {
+        return false;
+    }
+}
+
+// Returns an error message, or null when the settings are usable
+function validateSettings(settings) {
+    if (!isPort(settings.port)) return 'port must be a whole number from 1 to 65535';
+    if (typeof settings.companyName !== 'string' || !settings.companyName.trim()) return 'companyName is required';
+    if (settings.companyName.length > 100) return 'companyName must be 100 characters or less';
+    if (typeof settings.timezone !== 'string' || (settings.timezone && !isValidZone(settings.timezone))) {
+        return 'timezone must be an IANA timezone like "Asia/Karachi", or empty for the server\'s own';
+    }
+    if (typeof settings.defaultDevice.ip !== 'string' || !settings.defaultDevice.ip.trim()) return 'defaultDevice.ip is required';
+    if (!isPort(settings.defaultDevice.port)) return 'defaultDevice.port must be a whole number from 1 to 65535';
+    if (typeof settings.autoSync.enabled !== 'boolean') return 'autoSync.enabled must be true or false';
+    if (!isCron(settings.autoSync.schedule)) return 'autoSync.schedule must be a cron expression, e.g. "1 0 0 * * *"';
+    if (typeof settings.clockSync.enabled !== 'boolean') return 'clockSync.enabled must be true or false';
+    if (!isCron(settings.clockSync.schedule)) return 'clockSync.schedule must be a cron expression, e.g. "0 0 3 * * *"';
+    if (!Array.isArray(settings.corsOrigins) || settings.corsOrigins.some(o => !isOrigin(o))) {
+        return 'corsOrigins must be a list of origins like "https://hr.example.com"';
+    }
+    return null;
+}
+
+// Reads the file and environment. Returns an error message when either is invalid.
+function load() {
+    stored = storage.readJson(SETTINGS_FILE, {});
+    const unknown = Object.keys(stored).filter(key => !(key in DEFAULTS));
+    if (unknown.length) return `${SETTINGS_FILE}: unknown setting ${unknown.join(', ')}`;
+    const error = validateSettings(effective(stored));
+    if (error) return `${SETTINGS_FILE} or environment: ${error}`;
+    current = effective(stored);
+    return null;
+}
+
+function getSettings() {
+    if (!current) load();
+    return current;
+}
+
+// Setting paths that come from environment variables: { 'companyName': 'COMPANY_NAME' }
+function overriddenSettings() {
+    const env = envOverrides();
+    return Object.fromEntries(Object.keys(env).map(path => [path, env[path].name]));
+}
+
+// Applies a partial update ({ autoSync: { enabled: false } }) all at once or not at all.
+// Returns { error } or { settings, changed } with the dotted paths that changed.
+function updateSettings(changes) {
+    getSettings();
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return { error: 'Send the settings to change as an object' };
+
+    const given = Object.keys(changes).flatMap(key =>
+        changes[key] && typeof changes[key] === 'object' && !Array.isArray(changes[key])
+            ? Object.keys(changes[key]).map(sub => `${key}.${sub}`)
+            : [key]);
+    const unknown = given.filter(path => !SETTING_PATHS.includes(path));
+    if (unknown.length) return { error: `Unknown setting ${unknown.join(', ')}` };
+
+    const locked = overriddenSettings();
+    const blocked = given.find(path => locked[path] && JSON.stringify(getPath(changes, path)) !== JSON.stringify(getPath(current, path)));
+    if (blocked) return { error: `${blocked} is set by the ${locked[blocked]} environment variable` };
+
+    // Only what was sent is written, so settings left at their defaults follow future defaults.
+    // Values that come from the environment stay out of the file.
+    const nextStored = merge(stored, SETTING_PATHS.reduce((kept, path) => {
+        const value = getPath(changes, path);
+        if (value !== undefined && !locked[path]) setPath(kept, path, value);
+        return kept;
+    }, {}));
+    const next = effective(nextStored);
+    const error = validateSettings(next);
+    if (error) return { error };
+
+    const changed = SETTING_PATHS.filter(path => JSON.stringify(getPath(next, path)) !== JSON.stringify(getPath(current, path)));
+    storage.writeJson(SETTINGS_FILE, nextStored);
+    stored = nextStored;
+    current = next;
+    return { settings: current, changed };
+}
+
+module.exports = {
+    DEFAULTS,
+    ENV_OVERRIDES,
+    load,
+    getSettings,
+    overriddenSettings,
+    validateSettings,
+    updateSettings
+};
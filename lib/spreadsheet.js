@@ -0,0 +1,45 @@
+const XLSX = require('xlsx');
+const { localDateKey } = require('./attendanceFilter');
+
+// CSV / XLSX reading shared by the employee and punch imports.
+
+function headerKey(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Rows of the first sheet as { line, cells }. columns maps each field to its accepted
+// header spellings, compared without case, spaces or punctuation; the first matching
+// column wins and headers matching no field are dropped.
+function readRows(buffer, columns) {
+    // raw keeps CSV text as typed (IDs like 007, DD/MM dates); XLSX date cells still arrive as dates
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, raw: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) throw new Error('The file has no sheets');
+
+    return XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true }).map((row, idx) => {
+        const cells = {};
+        for (const header in row) {
+            const key = headerKey(header);
+            const field = Object.keys(columns).find(f => columns[f].includes(key));
+            if (field && cells[field] === undefined) cells[field] = row[header];
+        }
+        return { line: idx + 2, cells }; // Header row is line 1
+    });
+}
+
+// A date cell, or YYYY-MM-DD, YYYY/MM/DD or DD/MM/YYYY text, as YYYY-MM-DD; null when unreadable.
+// Date cells hold the typed clock reading in server time.
+function readDate(value) {
+    if (value instanceof Date) return localDateKey(value);
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    const ymd = /^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})$/.exec(text);
+    if (ymd) return `${ymd[1]}-${ymd[2].padStart(2, '0')}-${ymd[3].padStart(2, '0')}`;
+    const dmy = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+    if (dmy) return `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+    return null;
+}
+
+module.exports = {
+    readRows,
+    readDate
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// All locally persisted state (punch archive, caches, ledgers) lives in one folder.
+// DATA_DIR can point somewhere else, e.g. a shared drive or a temp folder for tests.
+const DATA_DIR = process.env.DATA_DIR
+    ? path.resolve(process.env.DATA_DIR)
+    : path.resolve(__dirname, '..', 'data');
+
+function dataPath(name) {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    return path.join(DATA_DIR, name);
+}
+
+function readJson(name, fallback) {
+    const file = dataPath(name);
+    try {
+        if (!fs.existsSync(file)) return fallback;
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        console.error(`[STORE] Could not read ${name}:`, err.message);
+        return fallback;
+    }
+}
+
+// Write to a temp file first and rename it over the target so a crash
+// (or a PM2 restart) never leaves a half-written JSON file behind.
+function writeJson(name, value) {
+    const file = dataPath(name);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+function readLines(name) {
+    const file = dataPath(name);
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim() !== '');
+}
+
+function appendLines(name, lines) {
+    if (!lines.length) return;
+    fs.appendFileSync(dataPath(name), lines.join('\n') + '\n');
+}
+
+// Ids like "shift-3" for records kept in a list: one past its length, or the
+// next number still free once records have been removed
+function nextId(prefix, list) {
+    let n = list.length + 1;
+    while (list.some(x => x.id === `${prefix}-${n}`)) n++;
+    return `${prefix}-${n}`;
+}
+
+// Readable ids for named records: "Head Office" -> "head-office", or "head-office-2" and on
+// while taken(id) says it is in use. fallback stands in for a name with no letters or digits.
+function slugId(name, fallback, taken) {
+    const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || fallback;
+    let id = base;
+    let n = 2;
+    while (taken(id)) id = `${base}-${n++}`;
+    return id;
+}
+
+module.exports = {
+    DATA_DIR,
+    dataPath,
+    readJson,
+    writeJson,
+    readLines,
+    appendLines,
+    nextId,
+    slugId
+};
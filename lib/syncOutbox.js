@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+
+// Persistent per-day ledger of cloud syncs. Each date has one entry that records
+// what was sent, how many attempts it took and when to try again, so a cloud
+// outage or a restart never silently drops a day.
+const OUTBOX_FILE = 'sync-outbox.json';
+
+const RETRY_BASE_MS = 60000;       // 1st retry after 1 minute
+const RETRY_MAX_MS = 60 * 60000;   // never wait more than 1 hour between retries
+
+let ledger = null;
+
+function load() {
+    if (ledger) return ledger;
+    ledger = { days: {}, lastSuccessDate: null, ...storage.readJson(OUTBOX_FILE, {}) };
+    return ledger;
+}
+
+function save() {
+    storage.writeJson(OUTBOX_FILE, ledger);
+}
+
+function getEntry(date) {
+    return load().days[date] || null;
+}
+
+function getLastSuccessDate() {
+    return load().lastSuccessDate;
+}
+
+// Queue a date for syncing. A date that already synced is left alone unless forced.
+function enqueue(date, trigger, { force = false } = {}) {
+    load();
+    const existing = ledger.days[date];
+    if (existing && !force && (existing.status === 'success' || existing.status === 'skipped')) {
+        return existing;
+    }
+
+    ledger.days[date] = {
+        date,
+        status: 'pending',
+        trigger,
+        attempts: existing ? existing.attempts : 0,
+        records: existing ? existing.records : 0,
+        idempotencyKey: existing ? existing.idempotencyKey : null,
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
+        lastAttemptAt: existing ? existing.lastAttemptAt : null,
+        nextAttemptAt: new Date().toISOString(),
+        httpStatus: null,
+        lastError: null,
+        response: null,
+        syncedAt: existing ? existing.syncedAt : null,
+        payload: existing ? existing.payload : null,
+        // Per sync target outcome; a forced re-sync goes to every target again
+        targets: existing && !force ? (existing.targets || {}) : {}
+    };
+    save();
+    return ledger.days[date];
+}
+
+// The same payload always gets the same key, so the receiver can drop repeats
+function idempotencyKeyFor(date, payload) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+    return `attendance-${date}-${hash.substring(0, 16)}`;
+}
+
+// Without a payload (nothing could be sent) the attempt still counts, so the backoff grows
+function markAttempt(date, payload = null) {
+    const entry = getEntry(date);
+    entry.attempts += 1;
+    entry.lastAttemptAt = new Date().toISOString();
+    if (payload) {
+        entry.payload = payload;
+        entry.records = payload.length;
+        entry.idempotencyKey = idempotencyKeyFor(date, payload);
+    }
+    save();
+    return entry;
+}
+
+// Records how one sync target answered for this date
+function markTargetResult(date, targetId, { success, httpStatus = null, response = null, error = null, via = null }) {
+    const entry = getEntry(date);
+    if (!entry.targets) entry.targets = {};
+    const previous = entry.targets[targetId] || { attempts: 0, syncedAt: null };
+    entry.targets[targetId] = {
+        status: success ? 'success' : 'failed',
+        attempts: previous.attempts + 1,
+        httpStatus,
+        response,
+        error,
+        via,
+        lastAttemptAt: new Date().toISOString(),
+        syncedAt: success ? new Date().toISOString() : previous.syncedAt
+    };
+    save();
+    return entry.targets[targetId];
+}
+
+// Targets from the given list that have not accepted this date yet
+function pendingTargets(date, targetIds) {
+    const done = (getEntry(date) || {}).targets || {};
+    return targetIds.filter(id => !done[id] || done[id].status !== 'success');
+}
+
+function markSuccess(date, { httpStatus, response }) {
+    const entry = getEntry(date);
+    entry.status = 'success';
+    entry.httpStatus = httpStatus;
+    entry.response = response;
+    entry.lastError = null;
+    entry.nextAttemptAt = null;
+    entry.syncedAt = new Date().toISOString();
+    if (!ledger.lastSuccessDate || date > ledger.lastSuccessDate) ledger.lastSuccessDate = date;
+    save();
+    return entry;
+}
+
+// Nothing to send for this date (no punches) - counts as done
+function markSkipped(date, reason) {
+    const entry = getEntry(date);
+    entry.status = 'skipped';
+    entry.lastError = reason;
+    entry.nextAttemptAt = null;
+    entry.records = 0;
+    if (!ledger.lastSuccessDate || date > ledger.lastSuccessDate) ledger.lastSuccessDate = date;
+    save();
+    return entry;
+}
+
+// Exponential backoff: 1m, 2m, 4m ... capped at 1h
+function markFailure(date, { httpStatus = null, response = null, error }) {
+    const entry = getEntry(date);
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(0, entry.attempts - 1)), RETRY_MAX_MS);
+    entry.status = 'retrying';
+    entry.httpStatus = httpStatus;
+    entry.response = response;
+    entry.lastError = error;
+    entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    save();
+    return entry;
+}
+
+// Entries waiting to be (re)sent whose retry time has come
+function dueEntries(now = new Date()) {
+    return Object.values(load().days)
+        .filter(e => (e.status === 'pending' || e.status === 'retrying') && new Date(e.nextAttemptAt) <= now)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function history({ from, to } = {}) {
+    return Object.values(load().days)
+        .filter(e => (!from || e.date >= from) && (!to || e.date <= to))
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+module.exports = {
+    getEntry,
+    getLastSuccessDate,
+    enqueue,
+    markAttempt,
+    markTargetResult,
+    pendingTargets,
+    markSuccess,
+    markSkipped,
+    markFailure,
+    dueEntries,
+    history
+};
@@ -0,0 +1,209 @@
+const http = require('http');
+const https = require('https');
+const storage = require('./storage');
+const payloadFormats = require('./payloadFormats');
+
+// HR systems the attendance summary is pushed to (production, staging, a local mock...).
+// Each target has its own URL, credentials, timeout, optional fallback address
+// and payload format (see lib/payloadFormats.js).
+const TARGETS_FILE = 'sync-targets.json';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const AUTH_TYPES = ['none', 'bearer', 'header'];
+
+let targets = null;
+
+function load() {
+    if (targets) return targets;
+    targets = storage.readJson(TARGETS_FILE, null);
+    if (!Array.isArray(targets)) {
+        // First start: keep pushing to the HR endpoint the server always used
+        targets = [{
+            id: 'jantrah',
+            name: 'Jantrah HR',
+            url: 'https://demo.jantrah.com/project-mgm/web/hr/api/import-attendance',
+            fallbackAddress: '72.60.181.228',
+            authType: 'none',
+            authHeader: '',
+            authToken: '',
+            timeoutMs: DEFAULT_TIMEOUT_MS,
+            format: payloadFormats.normalizeFormat(),
+            enabled: true
+        }];
+        save();
+    }
+    return targets;
+}
+
+function save() {
+    storage.writeJson(TARGETS_FILE, targets);
+}
+
+function listTargets() {
+    return load();
+}
+
+function enabledTargets() {
+    return load().filter(t => t.enabled);
+}
+
+function getTarget(id) {
+    return load().find(t => t.id === id) || null;
+}
+
+// Safe to send to the dashboard: the secret itself never leaves the server
+function describeTarget(target) {
+    const { authToken, ...rest } = target;
+    return { ...rest, format: payloadFormats.normalizeFormat(target.format), hasAuthToken: !!authToken };
+}
+
+// An HTTP header name (RFC 7230 token); anything else makes every request fail
+const HEADER_NAME_RE = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+// Returns an error message, or null when the fields are usable.
+// Updates are validated as the stored target merged with the changes.
+function validateTarget(data) {
+    if (!data.name || !String(data.name).trim()) return 'Target name is required';
+    let url;
+    try { url = new URL(String(data.url || '')); } catch (e) { url = null; }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        return 'URL must be a full http:// or https:// address';
+    }
+    if (data.authType !== undefined && !AUTH_TYPES.includes(data.authType)) {
+        return `Auth type must be one of: ${AUTH_TYPES.join(', ')}`;
+    }
+    if (data.authType === 'header' && !String(data.authHeader || '').trim()) {
+        return 'Header name is required for header authentication';
+    }
+    if (String(data.authHeader || '').trim() && !HEADER_NAME_RE.test(String(data.authHeader).trim())) {
+        return 'Header name must be a plain HTTP header name like X-Api-Key';
+    }
+    if (data.timeoutMs !== undefined) {
+        const timeout = Number(data.timeoutMs);
+        if (!Number.isInteger(timeout) || timeout < 1000 || timeout > 300000) return 'Timeout must be between 1000 and 300000 ms';
+    }
+    return payloadFormats.validateFormat(data.format);
+}
+
+function addTarget(data) {
+    load();
+    const target = {
+        id: storage.slugId(data.name, 'target', getTarget),
+        name: String(data.name).trim(),
+        url: String(data.url).trim(),
+        fallbackAddress: data.fallbackAddress ? String(data.fallbackAddress).trim() : '',
+        authType: data.authType || 'none',
+        authHeader: data.authHeader ? String(data.authHeader).trim() : '',
+        authToken: data.authToken ? String(data.authToken) : '',
+        timeoutMs: data.timeoutMs ? Number(data.timeoutMs) : DEFAULT_TIMEOUT_MS,
+        format: payloadFormats.normalizeFormat(data.format),
+        enabled: data.enabled !== false
+    };
+    targets.push(target);
+    save();
+    return target;
+}
+
+// An omitted or empty authToken keeps the stored secret (the dashboard never sees it)
+function updateTarget(id, data) {
+    const target = getTarget(id);
+    if (!target) return null;
+    if (data.name !== undefined) target.name = String(data.name).trim();
+    if (data.url !== undefined) target.url = String(data.url).trim();
+    if (data.fallbackAddress !== undefined) target.fallbackAddress = String(data.fallbackAddress || '').trim();
+    if (data.authType !== undefined) target.authType = data.authType;
+    if (data.authHeader !== undefined) target.authHeader = String(data.authHeader || '').trim();
+    if (data.authToken) target.authToken = String(data.authToken);
+    if (data.timeoutMs !== undefined) target.timeoutMs = Number(data.timeoutMs);
+    if (data.format !== undefined) target.format = payloadFormats.normalizeFormat(data.format);
+    if (data.enabled !== undefined) target.enabled = !!data.enabled;
+    save();
+    return target;
+}
+
+function removeTarget(id) {
+    const idx = load().findIndex(t => t.id === id);
+    if (idx === -1) return false;
+    targets.splice(idx, 1);
+    save();
+    return true;
+}
+
+// --- DELIVERY ---
+
+function authHeaders(target) {
+    if (!target.authToken) return {};
+    if (target.authType === 'bearer') return { 'Authorization': `Bearer ${target.authToken}` };
+    if (target.authType === 'header') return { [target.authHeader]: target.authToken };
+    return {};
+}
+
+// One POST of a rendered payload ({ body, contentType }) to the target URL,
+// optionally connecting to a different address.
+// When going through the fallback address the certificate is still checked
+// against the URL's hostname (SNI + Host header), so TLS stays verified.
+function request(target, rendered, extraHeaders, address) {
+    const url = new URL(target.url);
+    const client = url.protocol === 'https:' ? https : http;
+    const timeoutMs = target.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+    return new Promise((resolve, reject) => {
+        const options = {
+            hostname: address || url.hostname,
+            port: url.port || (url.protocol === 'https:' ? 443 : 80),
+            path: url.pathname + url.search,
+            method: 'POST',
+            headers: {
+                'Content-Type': rendered.contentType,
+                'Host': url.host,
+                'User-Agent': 'JTech-Attendance-Server/1.0',
+                'Content-Length': Buffer.byteLength(rendered.body),
+                ...authHeaders(target),
+                ...extraHeaders
+            }
+        };
+        if (address && url.protocol === 'https:') options.servername = url.hostname;
+
+        const req = client.request(options, (res) => {
+            let responseBody = '';
+            res.on('data', chunk => responseBody += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body: responseBody }));
+        });
+
+        // Don't let a hung connection block the outbox forever
+        req.setTimeout(timeoutMs, () => req.destroy(new Error(`Request timed out after ${timeoutMs / 1000}s`)));
+        req.on('error', reject);
+        req.write(rendered.body);
+        req.end();
+    });
+}
+
+// POST a rendered payload to one target, retrying once through its fallback address
+async function post(target, rendered, extraHeaders = {}) {
+    try {
+        console.log(`[SYNC] ${target.name}: POST ${target.url}`);
+        return { ...(await request(target, rendered, extraHeaders)), via: 'primary' };
+    } catch (err) {
+        if (!target.fallbackAddress) throw err;
+        console.warn(`[SYNC] ${target.name}: primary failed (${err.message}). Trying fallback ${target.fallbackAddress}...`);
+        return { ...(await request(target, rendered, extraHeaders, target.fallbackAddress)), via: 'fallback' };
+    }
+}
+
+function isSuccess(result) {
+    return result.status >= 200 && result.status < 300;
+}
+
+module.exports = {
+    AUTH_TYPES,
+    listTargets,
+    enabledTargets,
+    getTarget,
+    describeTarget,
+    validateTarget,
+    addTarget,
+    updateTarget,
+    removeTarget,
+    post,
+    isSuccess
+};
@@ -0,0 +1,125 @@
+const settings = require('./settings');
+const { formatterFor, isValidZone } = require('./zones');
+
+// Turning an instant into a work day or a clock time always happens in the office's
+// timezone (an IANA name such as "Asia/Karachi"), never in the one the server runs in.
+// A device can have a timezone of its own; see deviceRegistry.
+const pad = (n) => String(n).padStart(2, '0');
+
+// The zone the server's own clock is set to
+function systemZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// The configured office timezone; left empty it is the server's own
+function officeZone() {
+    return settings.getSettings().timezone || systemZone();
+}
+
+// { year, month, day, hour, minute, second } of an instant as a clock in the zone shows it
+function wallClock(date, zone = officeZone()) {
+    const clock = {};
+    formatterFor(zone).formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') clock[part.type] = Number(part.value);
+    });
+    return clock;
+}
+
+// YYYY-MM-DD
+function dateKey(date, zone = officeZone()) {
+    const c = wallClock(date, zone);
+    return `${c.year}-${pad(c.month)}-${pad(c.day)}`;
+}
+
+// HH:mm:ss
+function timeOf(date, zone = officeZone()) {
+    const c = wallClock(date, zone);
+    return `${pad(c.hour)}:${pad(c.minute)}:${pad(c.second)}`;
+}
+
+function minutesOfDay(date, zone = officeZone()) {
+    const c = wallClock(date, zone);
+    return c.hour * 60 + c.minute;
+}
+
+// How far the zone is ahead of UTC at that instant, in minutes
+function offsetMinutes(date, zone = officeZone()) {
+    const c = wallClock(date, zone);
+    const asUtc = Date.UTC(c.year, c.month - 1, c.day, c.hour, c.minute, c.second);
+    return Math.round((asUtc - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+}
+
+// The instant a clock in the zone shows dateKey + time ('2024-05-06', '09:00' or '09:00:00')
+function zonedDate(key, time = '00:00:00', zone = officeZone()) {
+    const [y, mo, d] = key.split('-').map(Number);
+    const [h, mi, s] = time.split(':').map(Number);
+    const asUtc = Date.UTC(y, mo - 1, d, h, mi, s || 0);
+    // The offset at the guessed instant can differ from the one at the answer around a DST change
+    const guess = asUtc - offsetMinutes(new Date(asUtc), zone) * 60000;
+    return new Date(asUtc - offsetMinutes(new Date(guess), zone) * 60000);
+}
+
+// '2024-05-06T09:00:00+05:00'
+function isoWithOffset(date, zone = officeZone()) {
+    const offset = offsetMinutes(date, zone);
+    const abs = Math.abs(offset);
+    return `${dateKey(date, zone)}T${timeOf(date, zone)}${offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Calendar arithmetic on YYYY-MM-DD keys; the same in every zone
+function addDays(key, days) {
+    const date = new Date(`${key}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+// 0 (Sunday) to 6
+function weekday(key) {
+    return new Date(`${key}T00:00:00Z`).getUTCDay();
+}
+
+// A date and time typed without an offset ("2024-05-06T09:00" from a form field) is office
+// time; one with Z or an offset is taken as it is. Unreadable input gives an invalid Date.
+const LOCAL_DATE_TIME_RE = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(:\d{2})?)$/;
+
+function parseOfficeTime(value, zone = officeZone()) {
+    const match = LOCAL_DATE_TIME_RE.exec(String(value || '').trim());
+    if (match) return zonedDate(match[1], match[2], zone);
+    return new Date(value);
+}
+
+// The same clock reading, moved from one zone to another
+function moveZone(date, from, to) {
+    return new Date(zonedDate(dateKey(date, from), timeOf(date, from), to).getTime() + date.getUTCMilliseconds());
+}
+
+// zkteco-js reads a terminal's clock as if it showed the server's local time.
+// fromDeviceClock turns such a Date into the real instant for a terminal set to zone;
+// toDeviceClock builds the Date to hand the library when setting the terminal's clock.
+function fromDeviceClock(date, zone) {
+    return moveZone(date, systemZone(), zone);
+}
+
+function toDeviceClock(date, zone) {
+    const c = wallClock(date, zone);
+    return new Date(c.year, c.month - 1, c.day, c.hour, c.minute, c.second, date.getUTCMilliseconds());
+}
+
+module.exports = {
+    isValidZone,
+    systemZone,
+    officeZone,
+    wallClock,
+    dateKey,
+    timeOf,
+    minutesOfDay,
+    offsetMinutes,
+    zonedDate,
+    isoWithOffset,
+    addDays,
+    weekday,
+    parseOfficeTime,
+    moveZone,
+    fromDeviceClock,
+    toDeviceClock
+};
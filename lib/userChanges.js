@@ -0,0 +1,59 @@
+const storage = require('./storage');
+
+// Local record of every user created, edited or deleted on a device from the
+// dashboard: who did it, on which terminal, and the user before and after.
+// Passwords are never written here, only whether one was changed.
+const CHANGES_FILE = 'user-changes.json';
+
+let changes = null;
+
+function load() {
+    if (changes) return changes;
+    changes = storage.readJson(CHANGES_FILE, []);
+    return changes;
+}
+
+function publicUser(user) {
+    if (!user) return null;
+    return {
+        uid: user.uid,
+        userId: String(user.userId),
+        name: user.name,
+        role: user.role || 0,
+        cardNo: user.cardno || user.cardNo || 0
+    };
+}
+
+function record({ action, userId, device, by, before, after, passwordChanged = false, success, error = null }) {
+    load();
+    const entry = {
+        id: `uchg-${changes.length + 1}`,
+        at: new Date().toISOString(),
+        action,
+        userId: String(userId),
+        deviceId: device.id,
+        deviceName: device.name,
+        by,
+        success,
+        error,
+        passwordChanged,
+        before: publicUser(before),
+        after: publicUser(after)
+    };
+    changes.push(entry);
+    storage.writeJson(CHANGES_FILE, changes);
+    return entry;
+}
+
+// Newest first
+function list({ userId, limit = 200 } = {}) {
+    return load()
+        .filter(c => !userId || c.userId === String(userId))
+        .slice(-limit)
+        .reverse();
+}
+
+module.exports = {
+    record,
+    list
+};
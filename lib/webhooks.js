@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const storage = require('./storage');
+const { EVENT_TYPES } = require('./events');
+
+// Outgoing webhook subscriptions. Every matching event becomes a delivery that is
+// signed with the subscription's secret, retried with backoff and kept in a log.
+const WEBHOOKS_FILE = 'webhooks.json';
+const DELIVERIES_FILE = 'webhook-deliveries.json';
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 10000;        // 10s, 20s, 40s ...
+const RETRY_MAX_MS = 10 * 60000;    // ... never more than 10 minutes apart
+const MAX_LOGGED_DELIVERIES = 500;
+
+let webhooks = null;
+let deliveries = null;
+
+function load() {
+    if (webhooks) return;
+    webhooks = storage.readJson(WEBHOOKS_FILE, []);
+    deliveries = storage.readJson(DELIVERIES_FILE, []);
+}
+
+function saveWebhooks() {
+    storage.writeJson(WEBHOOKS_FILE, webhooks);
+}
+
+// Oldest finished deliveries are dropped first; pending retries are always kept
+function saveDeliveries() {
+    if (deliveries.length > MAX_LOGGED_DELIVERIES) {
+        let excess = deliveries.length - MAX_LOGGED_DELIVERIES;
+        deliveries = deliveries.filter(d => {
+            if (excess > 0 && (d.status === 'delivered' || d.status === 'failed')) {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+    }
+    storage.writeJson(DELIVERIES_FILE, deliveries);
+}
+
+function listWebhooks() {
+    load();
+    return webhooks;
+}
+
+function getWebhook(id) {
+    return listWebhooks().find(w => w.id === id) || null;
+}
+
+// The secret is only returned when a webhook is created or its secret is rotated
+function describeWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    const own = deliveries.filter(d => d.webhookId === webhook.id);
+    const last = own[own.length - 1];
+    return {
+        ...rest,
+        lastDelivery: last ? { at: last.lastAttemptAt || last.createdAt, status: last.status, event: last.event } : null,
+        pendingDeliveries: own.filter(d => d.status === 'pending' || d.status === 'retrying').length
+    };
+}
+
+// Returns an error message, or null when the fields are usable.
+// Updates are validated as the stored webhook merged with the changes.
+function validateWebhook(data) {
+    if (!data.name || !String(data.name).trim()) return 'Webhook name is required';
+    let url;
+    try { url = new URL(String(data.url || '')); } catch (e) { url = null; }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        return 'URL must be a full http:// or https:// address';
+    }
+    if (!Array.isArray(data.events) || data.events.length === 0) return 'Pick at least one event';
+    const unknown = data.events.filter(e => !EVENT_TYPES.includes(e));
+    if (unknown.length) return `Unknown event(s): ${unknown.join(', ')}. Use: ${EVENT_TYPES.join(', ')}`;
+    return null;
+}
+
+function newSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function addWebhook(data) {
+    load();
+    const webhook = {
+        id: storage.slugId(data.name, 'webhook', getWebhook),
+        name: String(data.name).trim(),
+        url: String(data.url).trim(),
+        events: [...new Set(data.events)],
+        secret: newSecret(),
+        enabled: data.enabled !== false,
+        createdAt: new Date().toISOString()
+    };
+    webhooks.push(webhook);
+    saveWebhooks();
+    return webhook;
+}
+
+function updateWebhook(id, data) {
+    const webhook = getWebhook(id);
+    if (!webhook) return null;
+    if (data.name !== undefined) webhook.name = String(data.name).trim();
+    if (data.url !== undefined) webhook.url = String(data.url).trim();
+    if (data.events !== undefined) webhook.events = [...new Set(data.events)];
+    if (data.enabled !== undefined) webhook.enabled = !!data.enabled;
+    if (data.rotateSecret) webhook.secret = newSecret();
+    saveWebhooks();
+    if (!webhook.enabled) cancelQueued(id, 'Webhook disabled');
+    return webhook;
+}
+
+// Removing a webhook also cancels its pending retries; the delivery log stays
+function removeWebhook(id) {
+    load();
+    const idx = webhooks.findIndex(w => w.id === id);
+    if (idx === -1) return false;
+    webhooks.splice(idx, 1);
+    saveWebhooks();
+    cancelQueued(id, 'Webhook removed');
+    return true;
+}
+
+// Gives up on a webhook's queued deliveries; one being sent right now finishes that attempt
+function cancelQueued(webhookId, reason) {
+    let cancelled = 0;
+    deliveries.forEach(d => {
+        if (d.webhookId === webhookId && (d.status === 'pending' || d.status === 'retrying')) {
+            d.status = 'failed';
+            d.lastError = reason;
+            d.nextAttemptAt = null;
+            cancelled++;
+        }
+    });
+    if (cancelled) saveDeliveries();
+}
+
+// --- DELIVERY ---
+
+// Receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>") and compare it
+// with X-Webhook-Signature; the timestamp lets them reject replayed requests.
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function send(webhook, delivery) {
+    const url = new URL(webhook.url);
+    const client = url.protocol === 'https:' ? https : http;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'JTech-Attendance-Server/1.0',
+                'X-Webhook-Id': webhook.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+            }
+        }, (res) => {
+            let responseBody = '';
+            res.on('data', chunk => responseBody += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body: responseBody }));
+        });
+        req.setTimeout(DELIVERY_TIMEOUT_MS, () => req.destroy(new Error(`Request timed out after ${DELIVERY_TIMEOUT_MS / 1000}s`)));
+        req.on('error', reject);
+        req.write(body);
+        req.end();
+    });
+}
+
+// Deliveries being sent right now. A 'pending' delivery outside this set was never finished,
+// e.g. the server stopped mid-send, and is picked up again by processDue.
+const inFlight = new Set();
+
+async function attempt(delivery) {
+    if (inFlight.has(delivery.id)) return delivery;
+    inFlight.add(delivery.id);
+    try {
+        return await deliver(delivery);
+    } finally {
+        inFlight.delete(delivery.id);
+    }
+}
+
+async function deliver(delivery) {
+    const webhook = getWebhook(delivery.webhookId);
+    if (!webhook) return delivery;
+    // A test ping is the only thing sent to a disabled webhook
+    if (!webhook.enabled && delivery.event !== 'ping') {
+        cancelQueued(webhook.id, 'Webhook disabled');
+        return delivery;
+    }
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date().toISOString();
+    try {
+        const result = await send(webhook, delivery);
+        delivery.httpStatus = result.status;
+        delivery.response = result.body.substring(0, 500);
+        if (result.status >= 200 && result.status < 300) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = new Date().toISOString();
+            delivery.lastError = null;
+            delivery.nextAttemptAt = null;
+            saveDeliveries();
+            return delivery;
+        }
+        delivery.lastError = `HTTP ${result.status}`;
+    } catch (err) {
+        delivery.httpStatus = null;
+        delivery.response = null;
+        delivery.lastError = err.message;
+    }
+
+    const stopped = !webhook.enabled ? 'Webhook disabled' : !getWebhook(webhook.id) ? 'Webhook removed' : null;
+    if (stopped) {
+        delivery.status = 'failed';
+        delivery.lastError = `${delivery.lastError}; not retried: ${stopped}`;
+        delivery.nextAttemptAt = null;
+    } else if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        console.error(`[WEBHOOK] ${webhook.name}: giving up on ${delivery.event} ${delivery.id} after ${delivery.attempts} attempts (${delivery.lastError})`);
+    } else {
+        const delay = Math.min(RETRY_BASE_MS * Math.pow(2, delivery.attempts - 1), RETRY_MAX_MS);
+        delivery.status = 'retrying';
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        console.warn(`[WEBHOOK] ${webhook.name}: ${delivery.event} failed (${delivery.lastError}), retrying at ${delivery.nextAttemptAt}`);
+    }
+    saveDeliveries();
+    return delivery;
+}
+
+function createDelivery(webhook, event) {
+    const delivery = {
+        id: `dlv-${crypto.randomUUID()}`,
+        webhookId: webhook.id,
+        event: event.type,
+        eventId: event.id,
+        status: 'pending',
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        lastAttemptAt: null,
+        nextAttemptAt: new Date().toISOString(),
+        deliveredAt: null,
+        httpStatus: null,
+        response: null,
+        lastError: null,
+        payload: event
+    };
+    deliveries.push(delivery);
+    return delivery;
+}
+
+// Bus listener: queue one delivery per subscribed webhook and send it right away.
+// It runs inside whatever published the event (e.g. a device pull), so it never throws.
+function dispatch(event) {
+    let created;
+    try {
+        load();
+        const targets = webhooks.filter(w => w.enabled && w.events.includes(event.type));
+        if (!targets.length) return [];
+        created = targets.map(w => createDelivery(w, event));
+        saveDeliveries();
+    } catch (err) {
+        console.error(`[WEBHOOK] Could not queue ${event.type} ${event.id}: ${err.message}`);
+        return [];
+    }
+    created.forEach(d => attempt(d).catch(err => {
+        console.error(`[WEBHOOK] Could not send ${d.event} ${d.id}: ${err.message}`);
+    }));
+    return created;
+}
+
+// Sends a 'ping' to one webhook regardless of its event list, and waits for the answer
+function sendTest(id) {
+    load();
+    const webhook = getWebhook(id);
+    if (!webhook) return null;
+    const event = { id: crypto.randomUUID(), type: 'ping', occurredAt: new Date().toISOString(), data: { message: 'Test delivery' } };
+    const delivery = createDelivery(webhook, event);
+    saveDeliveries();
+    return attempt(delivery);
+}
+
+function isSending(deliveryId) {
+    return inFlight.has(deliveryId);
+}
+
+let processing = false;
+
+// Retries whose time has come, and deliveries left pending by a restart; called from the server's timer
+async function processDue(now = new Date()) {
+    if (processing) return;
+    processing = true;
+    try {
+        load();
+        const due = deliveries.filter(d => (d.status === 'retrying' || d.status === 'pending')
+            && !inFlight.has(d.id) && new Date(d.nextAttemptAt) <= now);
+        for (const delivery of due) {
+            try {
+                await attempt(delivery);
+            } catch (err) {
+                console.error(`[WEBHOOK] Could not send ${delivery.event} ${delivery.id}: ${err.message}`);
+            }
+        }
+    } finally {
+        processing = false;
+    }
+}
+
+// Queue a finished delivery again (e.g. after fixing the receiver); not while it is being sent
+function redeliver(deliveryId) {
+    load();
+    const delivery = deliveries.find(d => d.id === deliveryId);
+    if (!delivery || !getWebhook(delivery.webhookId)) return null;
+    if (inFlight.has(delivery.id)) return delivery;
+    delivery.status = 'retrying';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date().toISOString();
+    saveDeliveries();
+    return attempt(delivery);
+}
+
+// Newest first
+function listDeliveries({ webhookId, status, limit = 100 } = {}) {
+    load();
+    return deliveries
+        .filter(d => (!webhookId || d.webhookId === webhookId) && (!status || d.status === status))
+        .slice(-limit)
+        .reverse();
+}
+
+module.exports = {
+    listWebhooks,
+    getWebhook,
+    describeWebhook,
+    validateWebhook,
+    addWebhook,
+    updateWebhook,
+    removeWebhook,
+    dispatch,
+    isSending,
+    sendTest,
+    processDue,
+    redeliver,
+    listDeliveries
+};
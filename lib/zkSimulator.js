@@ -0,0 +1,207 @@
+const fs = require('fs');
+
+// Stand-in for a zkteco-js connection so the server can run without a terminal on the LAN.
+// Each device id gets a scenario of scripted users and punches; "*" covers any other id.
+//
+//   {
+//     "main": {
+//       "serialNumber": "SIM0001",
+//       "clockOffsetSeconds": -95,
+//       "users": [{ "uid": 1, "userId": "101", "name": "Ayesha", "role": 0 }],
+//       "punches": [
+//         { "userId": "101", "time": "2024-05-01T09:02:00", "state": 0 },
+//         { "userId": "101", "daysAgo": 1, "at": "18:10", "state": 1 }
+//       ],
+//       "raw": [{ "user_id": "101", "record_time": "not a date" }],
+//       "delayMs": 0,
+//       "faults": { "createSocket": "timeout", "getAttendances": "error" }
+//     }
+//   }
+//
+// punches use a local time, or daysAgo + at so a scenario stays current. raw records are
+// handed over exactly as written (malformed ones included). clockOffsetSeconds is how far
+// the device clock is off from the server's. Every call waits delayMs.
+// faults make a call fail the way the library does: "timeout" or "error".
+let scenarios = null;
+
+const FAULT_MESSAGES = {
+    timeout: 'TIMEOUT_ON_WRITING_MESSAGE',
+    error: 'Simulated device error'
+};
+
+function enabled() {
+    return scenarios !== null;
+}
+
+// Replaces every scenario; the objects are used as-is so tests can change them between calls
+function useScenarios(map) {
+    scenarios = map;
+}
+
+function loadFile(file) {
+    useScenarios(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+function getScenario(deviceId) {
+    if (!scenarios) return null;
+    const scenario = scenarios[deviceId] || scenarios['*'] || null;
+    if (!scenario) return null;
+    scenario.users = scenario.users || [];
+    scenario.punches = scenario.punches || [];
+    scenario.raw = scenario.raw || [];
+    scenario.faults = scenario.faults || {};
+    return scenario;
+}
+
+function punchTime(punch) {
+    if (punch.time) return new Date(punch.time);
+    const date = new Date();
+    date.setDate(date.getDate() - (punch.daysAgo || 0));
+    const [h, m, s] = String(punch.at || '00:00').split(':').map(Number);
+    date.setHours(h, m, s || 0, 0);
+    return date;
+}
+
+// The shape zkteco-js decodes from a 40-byte attendance record
+function toRecord(punch, index) {
+    return {
+        sn: index + 1,
+        user_id: String(punch.userId),
+        record_time: punchTime(punch).toString(),
+        type: punch.type === undefined ? 1 : punch.type,
+        state: punch.state || 0
+    };
+}
+
+class SimulatedZK {
+    constructor(device) {
+        this.device = device;
+        this.scenario = getScenario(device.id);
+        this.connected = false;
+    }
+
+    // zkteco-js rejects with { err, ip, command } rather than an Error
+    async call(command, work) {
+        const scenario = this.scenario;
+        if (scenario && scenario.delayMs) await new Promise(resolve => setTimeout(resolve, scenario.delayMs));
+        const fault = scenario ? scenario.faults[command] : 'timeout';
+        if (fault) {
+            throw { err: new Error(FAULT_MESSAGES[fault] || String(fault)), ip: this.device.ip, command };
+        }
+        if (command !== 'createSocket' && !this.connected) {
+            throw { err: new Error('Socket is not connected'), ip: this.device.ip, command };
+        }
+        return work();
+    }
+
+    createSocket() {
+        return this.call('createSocket', () => { this.connected = true; return true; });
+    }
+
+    async disconnect() {
+        this.connected = false;
+    }
+
+    getSerialNumber() {
+        return this.call('getSerialNumber', () => this.scenario.serialNumber || `SIM-${this.device.id}`);
+    }
+
+    getDeviceName() {
+        return this.call('getDeviceName', () => this.scenario.deviceName || 'Simulated Terminal');
+    }
+
+    getFirmware() {
+        return this.call('getFirmware', () => this.scenario.firmware || 'Ver 6.60 Simulated');
+    }
+
+    getPlatform() {
+        return this.call('getPlatform', () => this.scenario.platform || 'SIMULATOR');
+    }
+
+    getInfo() {
+        return this.call('getInfo', () => ({
+            userCounts: this.scenario.users.length,
+            logCounts: this.scenario.punches.length + this.scenario.raw.length,
+            logCapacity: 100000
+        }));
+    }
+
+    getTime() {
+        return this.call('getTime', () => new Date(Date.now() + (this.scenario.clockOffsetSeconds || 0) * 1000));
+    }
+
+    setTime(time) {
+        return this.call('setTime', () => {
+            this.scenario.clockOffsetSeconds = Math.round((new Date(time) - Date.now()) / 1000);
+            return true;
+        });
+    }
+
+    // A disabled terminal shows "working" and takes no punches
+    disableDevice() {
+        return this.call('disableDevice', () => { this.scenario.disabled = true; return true; });
+    }
+
+    enableDevice() {
+        return this.call('enableDevice', () => { this.scenario.disabled = false; return true; });
+    }
+
+    clearAttendanceLog() {
+        return this.call('clearAttendanceLog', () => {
+            this.scenario.punches = [];
+            this.scenario.raw = [];
+            return true;
+        });
+    }
+
+    getUsers() {
+        return this.call('getUsers', () => ({
+            data: this.scenario.users.map(u => ({
+                uid: u.uid,
+                role: u.role || 0,
+                password: u.password || '',
+                name: u.name || '',
+                cardno: u.cardno || 0,
+                userId: String(u.userId)
+            }))
+        }));
+    }
+
+    getAttendances() {
+        return this.call('getAttendances', () => ({
+            data: [...this.scenario.punches.map(toRecord), ...this.scenario.raw]
+        }));
+    }
+
+    setUser(uid, userId, name, password, role = 0, cardno = 0) {
+        return this.call('setUser', () => {
+            const users = this.scenario.users;
+            const existing = users.find(u => u.uid === uid);
+            const user = { uid, userId: String(userId), name, password, role, cardno };
+            if (existing) users.splice(users.indexOf(existing), 1, user);
+            else users.push(user);
+            return true;
+        });
+    }
+
+    deleteUser(uid) {
+        return this.call('deleteUser', () => {
+            const users = this.scenario.users;
+            const existing = users.find(u => u.uid === uid);
+            if (existing) users.splice(users.indexOf(existing), 1);
+            return true;
+        });
+    }
+}
+
+function connect(device) {
+    return new SimulatedZK(device);
+}
+
+module.exports = {
+    enabled,
+    useScenarios,
+    loadFile,
+    getScenario,
+    connect
+};
@@ -0,0 +1,30 @@
+// IANA zone names and the Intl formatters that read clocks in them. Kept apart from
+// lib/timezone.js, which needs the settings, so that the settings can validate a zone too.
+const formatters = {};
+
+function formatterFor(zone) {
+    if (!formatters[zone]) {
+        formatters[zone] = new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+    }
+    return formatters[zone];
+}
+
+function isValidZone(zone) {
+    if (typeof zone !== 'string' || !zone.trim()) return false;
+    try {
+        formatterFor(zone);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+module.exports = {
+    formatterFor,
+    isValidZone
+};
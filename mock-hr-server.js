@@ -0,0 +1,77 @@
+// Stand-in for the HR system's import endpoint, so the whole sync path can be
+// tested offline. Point a sync target at http://localhost:4000/api/import-attendance
+//
+//   node mock-hr-server.js
+//
+// MOCK_HR_PORT       port to listen on (default 4000)
+// MOCK_HR_TOKEN      if set, requests must send "Authorization: Bearer <token>"
+// MOCK_HR_FAIL_RATE  0..1, share of imports answered with HTTP 503 to exercise retries
+const http = require('http');
+
+const PORT = parseInt(process.env.MOCK_HR_PORT) || 4000;
+const TOKEN = process.env.MOCK_HR_TOKEN || '';
+const FAIL_RATE = Number(process.env.MOCK_HR_FAIL_RATE) || 0;
+
+const received = [];
+const seenKeys = new Set();
+
+function reply(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    // Everything imported so far, for checking what the attendance server sent
+    if (req.method === 'GET' && req.url === '/received') {
+        return reply(res, 200, { success: true, batches: received.length, data: received });
+    }
+    if (req.method !== 'POST') return reply(res, 404, { success: false, message: 'Not found' });
+
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+        if (TOKEN && req.headers['authorization'] !== `Bearer ${TOKEN}`) {
+            console.log(`[MOCK-HR] 401 ${req.url} (bad or missing token)`);
+            return reply(res, 401, { success: false, message: 'Unauthorized' });
+        }
+
+        // CSV uploads are kept as their data lines; everything else must be JSON
+        let records;
+        if ((req.headers['content-type'] || '').startsWith('text/csv')) {
+            records = body.split(/\r?\n/).filter(Boolean).slice(1);
+        } else {
+            try {
+                records = JSON.parse(body);
+            } catch (err) {
+                return reply(res, 400, { success: false, message: 'Body is not valid JSON' });
+            }
+        }
+
+        if (req.headers['x-connection-test']) {
+            console.log('[MOCK-HR] Connection test OK');
+            return reply(res, 200, { success: true, message: 'Connection OK' });
+        }
+
+        if (FAIL_RATE && Math.random() < FAIL_RATE) {
+            console.log(`[MOCK-HR] 503 ${req.url} (simulated outage)`);
+            return reply(res, 503, { success: false, message: 'Simulated outage' });
+        }
+
+        // Each path acts as its own HR system, so two targets on one mock don't collide
+        const key = req.headers['idempotency-key'];
+        if (key && seenKeys.has(`${req.url}|${key}`)) {
+            console.log(`[MOCK-HR] Duplicate delivery ${key} ignored`);
+            return reply(res, 200, { success: true, message: 'Already imported', duplicate: true });
+        }
+        if (key) seenKeys.add(`${req.url}|${key}`);
+
+        const count = Array.isArray(records) ? records.length : 1;
+        received.push({ at: new Date().toISOString(), path: req.url, idempotencyKey: key || null, records });
+        console.log(`[MOCK-HR] Imported ${count} record(s) on ${req.url}${key ? ` (${key})` : ''}`);
+        reply(res, 200, { success: true, message: `Imported ${count} records` });
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`[MOCK-HR] Mock HR import endpoint listening on http://localhost:${PORT}`);
+});
@@ -1,24 +1,42 @@
 const express = require('express');
+const path = require('path');
 const cors = require('cors');
 const ZK = require("zkteco-js");
-const https = require("https");
 const schedule = require("node-schedule");
+const settings = require('./lib/settings');
 
 const app = express();
-const PORT = 3000;
+
+// --- SETTINGS ---
+// Port, company name, default device, auto-sync schedule and allowed origins live in
+// data/settings.json, with environment variables on top (see lib/settings.js).
+// They are edited through /api/settings; only a new port needs a restart.
+const settingsError = settings.load();
+if (settingsError) {
+    console.error(`[SETTINGS] ${settingsError}`);
+    process.exit(1);
+}
+const PORT = settings.getSettings().port;
 
 // --- AUTOMATIC DAILY SYNC CONFIGURATION ---
 let lastAutoSyncAttempt = null;
 let lastAutoSyncSuccess = null;
-let autoSyncEnabled = true; // Can be toggled via API
 
-// --- DEVICE CONFIGURATION ---
-let DEVICE_IP = "192.168.18.144";
-let DEVICE_PORT = 4370;
+function autoSyncEnabled() {
+    return settings.getSettings().autoSync.enabled;
+}
+
+// --- ACCESS CONFIGURATION ---
+// The dashboard is served by this server, so browsers only need same-origin access.
+// Other web apps calling the API must be listed in the corsOrigins setting.
+function corsOrigins() {
+    return settings.getSettings().corsOrigins;
+}
 
-app.use(cors());
+app.use(cors({ origin: (origin, callback) => callback(null, corsOrigins().includes(origin)), credentials: true }));
 app.use(express.json());
-app.use(express.static(__dirname));
+// Only the dashboard pages are served; the code and data/ next to them never are
+app.use(express.static(path.join(__dirname, 'public')));
 
 // Global process error handlers to prevent crashes from library bugs
 process.on('uncaughtException', (err) => {
@@ -29,18 +47,63 @@ process.on('unhandledRejection', (reason, promise) => {
     console.error('CRITICAL: Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-let isDeviceBusy = false;
-let lastBusyReset = Date.now();
-let cooldownUntil = 0; // Timestamp until which we should not hit the device
-
 // --- HELPER LOGIC ---
 
 const fs = require('fs');
-const path = require('path');
-const LOCK_FILE = path.resolve(__dirname, 'zk_device.lock');
+const storage = require('./lib/storage');
+const punchStore = require('./lib/punchStore');
+const deviceRegistry = require('./lib/deviceRegistry');
+const attendanceRules = require('./lib/attendanceRules');
+const corrections = require('./lib/corrections');
+const syncOutbox = require('./lib/syncOutbox');
+const syncTargets = require('./lib/syncTargets');
+const payloadFormats = require('./lib/payloadFormats');
+const events = require('./lib/events');
+const webhooks = require('./lib/webhooks');
+const userChanges = require('./lib/userChanges');
+const employees = require('./lib/employees');
+const calendar = require('./lib/calendar');
+const reports = require('./lib/reports');
+const attendanceFilter = require('./lib/attendanceFilter');
+const accounts = require('./lib/accounts');
+const correctionRequests = require('./lib/correctionRequests');
+const punchImport = require('./lib/punchImport');
+const punchStates = require('./lib/punchStates');
+const timezone = require('./lib/timezone');
+const zkSimulator = require('./lib/zkSimulator');
+
+// ZK_SIMULATOR=<scenario file> swaps every device for the offline simulator (lib/zkSimulator.js)
+if (process.env.ZK_SIMULATOR) {
+    zkSimulator.loadFile(path.resolve(process.env.ZK_SIMULATOR));
+    console.log(`[ZK] Using simulated devices from ${process.env.ZK_SIMULATOR}`);
+}
+
+deviceRegistry.load(settings.getSettings().defaultDevice);
+if (deviceRegistry.listDevices().length) {
+    const first = deviceRegistry.listDevices()[0];
+    punchStore.adoptLegacyPunches(first.id, first.serialNumber || first.name);
+}
+
+// Busy/cooldown state is tracked per device so one slow terminal doesn't block the others
+const deviceStates = {};
+
+function getDeviceState(deviceId) {
+    if (!deviceStates[deviceId]) {
+        deviceStates[deviceId] = {
+            isDeviceBusy: false,
+            lastBusyReset: Date.now(),
+            cooldownUntil: 0 // Timestamp until which we should not hit the device
+        };
+    }
+    return deviceStates[deviceId];
+}
+
+function lockFileFor(device) {
+    return path.resolve(__dirname, `zk_device_${device.id}.lock`);
+}
 
 // Robust wrapper for ZK operations to handle timeouts and crashes
-async function waitForLock() {
+async function waitForLock(LOCK_FILE) {
     const LOCK_ALIVE_MS = 120000; // 2 minutes max lock life before force break
 
     while (true) {
@@ -73,7 +136,7 @@ async function waitForLock() {
     }
 }
 
-async function releaseLock() {
+async function releaseLock(LOCK_FILE) {
     try {
         if (fs.existsSync(LOCK_FILE)) {
             fs.unlinkSync(LOCK_FILE);
@@ -83,48 +146,57 @@ async function releaseLock() {
     }
 }
 
-async function executeZKAction(action) {
+// A readable message for anything thrown, including the plain { err, ip, command }
+// objects zkteco-js rejects with
+function describeError(err, fallback = 'Unknown error') {
+    let errMsg = fallback;
+    if (err && err.message) {
+        errMsg = err.message;
+    } else if (typeof err === 'object') {
+        try { errMsg = JSON.stringify(err); } catch (e) { errMsg = String(err); }
+    } else if (err) {
+        errMsg = String(err);
+    }
+    return errMsg;
+}
+
+async function executeZKAction(device, action) {
+    const state = getDeviceState(device.id);
     const now = Date.now();
     // 1. Check Cool Down (after errors)
-    if (now < cooldownUntil) {
-        const remaining = Math.ceil((cooldownUntil - now) / 1000);
+    if (now < state.cooldownUntil) {
+        const remaining = Math.ceil((state.cooldownUntil - now) / 1000);
         throw new Error(`Device recovery in progress... Please wait ${remaining}s`);
     }
 
     // 2. Auto-reset busy state if stuck for more than 40 seconds
-    if (isDeviceBusy && (now - lastBusyReset > 40000)) {
-        console.warn('[ZK] Device busy state stuck - performing emergency reset');
-        isDeviceBusy = false;
+    if (state.isDeviceBusy && (now - state.lastBusyReset > 40000)) {
+        console.warn(`[ZK] ${device.name}: busy state stuck - performing emergency reset`);
+        state.isDeviceBusy = false;
     }
 
-    if (isDeviceBusy) throw new Error('Device is busy. Please try again in 5-10 seconds.');
+    if (state.isDeviceBusy) throw new Error('Device is busy. Please try again in 5-10 seconds.');
 
-    isDeviceBusy = true;
-    lastBusyReset = now;
+    state.isDeviceBusy = true;
+    state.lastBusyReset = now;
 
-    // Acquire global file lock before connecting
-    await waitForLock();
+    // Acquire the device's file lock before connecting
+    const lockFile = lockFileFor(device);
+    await waitForLock(lockFile);
 
-    const zk = new ZK(DEVICE_IP, DEVICE_PORT, 10000); // 10s timeout
+    const zk = zkSimulator.enabled() ? zkSimulator.connect(device) : new ZK(device.ip, device.port, 10000); // 10s timeout
     try {
-        console.log(`[ZK] Connecting to ${DEVICE_IP}:${DEVICE_PORT}...`);
+        console.log(`[ZK] Connecting to ${device.name} (${device.ip}:${device.port})...`);
         await zk.createSocket();
         const result = await action(zk);
         return result;
     } catch (err) {
-        let errMsg = 'Unknown Communication Error';
-        if (err && err.message) {
-            errMsg = err.message;
-        } else if (typeof err === 'object') {
-            try { errMsg = JSON.stringify(err); } catch (e) { errMsg = String(err); }
-        } else if (err) {
-            errMsg = String(err);
-        }
-        console.error('[ZK] Action Error:', errMsg);
+        const errMsg = describeError(err, 'Unknown Communication Error');
+        console.error(`[ZK] ${device.name} Action Error:`, errMsg);
 
         // After ANY error, trigger a 15-second cool down period
-        console.warn('[ZK] Triggering 15s cool down to allow firmware reset');
-        cooldownUntil = Date.now() + 15000;
+        console.warn(`[ZK] ${device.name}: triggering 15s cool down to allow firmware reset`);
+        state.cooldownUntil = Date.now() + 15000;
 
         throw new Error(errMsg);
     } finally {
@@ -134,54 +206,161 @@ async function executeZKAction(action) {
             // Socket already closed
         }
 
-        // Release global file lock
-        await releaseLock();
+        // Release the device's file lock
+        await releaseLock(lockFile);
 
-        isDeviceBusy = false;
+        state.isDeviceBusy = false;
     }
 }
 
 const calculateStats = (records) => {
     const stats = {};
     const currentStatus = {};
+    const { pairingMode, duplicateWindowSeconds } = attendanceRules.getRules().settings;
+    const duplicateWindowMs = (duplicateWindowSeconds || 0) * 1000;
+    const now = new Date();
+    const { timeOf } = timezone; // (date, zone) -> HH:mm:ss
+    const statusZones = {}; // uid -> zone of the punch behind currentStatus
 
     const sortedRecords = [...records].map(log => {
         const ts = log.record_time || log.recordTime || log.timestamp;
-        return { ...log, date: new Date(ts), userId: String(log.user_id || log.uid || log.userId) };
+        return { ...log, date: new Date(ts), userId: String(log.user_id || log.uid || log.userId), zone: zoneFor(log.deviceId) };
     }).sort((a, b) => a.date - b.date);
 
+    // 1. Bucket punches per employee and work day
     sortedRecords.forEach(log => {
         const uid = log.userId;
-        const y = log.date.getFullYear();
-        const m = String(log.date.getMonth() + 1).padStart(2, '0');
-        const d = String(log.date.getDate()).padStart(2, '0');
-        const dateKey = `${y}-${m}-${d}`;
-
-        const type = log.state || log.status;
-        const isCheckOut = type === 1;
+        // Work day the punch belongs to (overnight sessions stay on the shift's start date)
+        const dateKey = attendanceRules.workDateFor(uid, log.date, log.zone);
 
         if (!stats[uid]) stats[uid] = {};
-        if (!stats[uid][dateKey]) stats[uid][dateKey] = { firstIn: null, lastOut: null, totalMs: 0, lastCheckIn: null, rawLogs: [] };
+        if (!stats[uid][dateKey]) {
+            stats[uid][dateKey] = {
+                firstIn: null, lastOut: null, totalMs: 0, lastCheckIn: null,
+                breakMs: 0, breakSince: null, overtimeMs: 0, overtimeSince: null,
+                // Times of the day read in the zone of its first punch
+                zone: log.zone,
+                rawLogs: [], anomalies: [], punches: []
+            };
+        }
+        stats[uid][dateKey].punches.push(log);
+    });
 
-        const dayStat = stats[uid][dateKey];
-        dayStat.rawLogs.push({
-            time: log.date.toLocaleTimeString('en-GB', { hour12: false }), // HH:mm:ss
-            type: isCheckOut ? 'check_out' : 'check_in'
-        });
+    // 2. Pair check-ins with check-outs inside each work day
+    for (const uid in stats) {
+        for (const dateKey in stats[uid]) {
+            const dayStat = stats[uid][dateKey];
+            const zone = dayStat.zone;
+            dayStat.isCurrentDay = dateKey === attendanceRules.workDateFor(uid, now, zone);
+
+            // Repeated taps within the duplicate window count once
+            const punches = [];
+            dayStat.punches.forEach(log => {
+                const prev = punches[punches.length - 1];
+                const sameKey = prev && (pairingMode === 'alternate' || (prev.state || prev.status) === (log.state || log.status));
+                if (sameKey && log.date - prev.date <= duplicateWindowMs) {
+                    dayStat.anomalies.push({ code: 'duplicate_tap', time: timeOf(log.date, zone), message: `Repeated tap at ${timeOf(log.date, zone)} merged with ${timeOf(prev.date, zone)}` });
+                    return;
+                }
+                punches.push(log);
+            });
+
+            // Break Out pauses the working time until Break In; OT In/OT Out is kept apart from it
+            const endBreak = (at) => {
+                dayStat.breakMs += at - dayStat.breakSince;
+                dayStat.breakSince = null;
+            };
+            const missingBreakIn = () => dayStat.anomalies.push({ code: 'missing_break_in', time: timeOf(dayStat.breakSince, zone), message: `Break from ${timeOf(dayStat.breakSince, zone)} has no break-in` });
+
+            punches.forEach((log, idx) => {
+                // 'alternate' ignores the state key: 1st punch In, 2nd Out, 3rd In...
+                const type = pairingMode === 'alternate'
+                    ? (idx % 2 === 1 ? 'check_out' : 'check_in')
+                    : punchStates.typeOf(log.state || log.status);
+                const time = timeOf(log.date, zone);
+                statusZones[uid] = zone;
+
+                dayStat.rawLogs.push({ time, type, manual: log.source === 'manual' });
+
+                if (type === 'check_in') {
+                    if (!dayStat.firstIn) dayStat.firstIn = log.date;
+                    if (dayStat.breakSince) {
+                        missingBreakIn();
+                        endBreak(log.date);
+                        dayStat.lastCheckIn = log.date;
+                    } else if (dayStat.lastCheckIn) {
+                        // Keep the earlier check-in so the open interval isn't lost
+                        dayStat.anomalies.push({ code: 'double_check_in', time, message: `Check-in at ${time} while already checked in since ${timeOf(dayStat.lastCheckIn, zone)}` });
+                    } else {
+                        dayStat.lastCheckIn = log.date;
+                    }
+                    currentStatus[uid] = { state: 'In', time: log.date, device: log.deviceSN };
+                } else if (type === 'check_out') {
+                    dayStat.lastOut = log.date;
+                    if (dayStat.breakSince) {
+                        // Left from the break: the break lasted until now
+                        missingBreakIn();
+                        endBreak(log.date);
+                    } else if (dayStat.lastCheckIn) {
+                        dayStat.totalMs += (log.date - dayStat.lastCheckIn);
+                        dayStat.lastCheckIn = null;
+                    } else {
+                        dayStat.anomalies.push({ code: 'check_out_without_in', time, message: `Check-out at ${time} without a check-in` });
+                    }
+                    currentStatus[uid] = { state: 'Out', time: log.date, device: log.deviceSN };
+                } else if (type === 'break_out') {
+                    if (dayStat.lastCheckIn) {
+                        dayStat.totalMs += (log.date - dayStat.lastCheckIn);
+                        dayStat.lastCheckIn = null;
+                        dayStat.breakSince = log.date;
+                        currentStatus[uid] = { state: 'Break', time: log.date, device: log.deviceSN };
+                    } else {
+                        dayStat.anomalies.push({ code: 'break_out_without_in', time, message: `Break-out at ${time} while not checked in` });
+                    }
+                } else if (type === 'break_in') {
+                    if (dayStat.breakSince) {
+                        endBreak(log.date);
+                    } else {
+                        dayStat.anomalies.push({ code: 'break_in_without_out', time, message: `Break-in at ${time} without a break-out` });
+                        if (!dayStat.firstIn) dayStat.firstIn = log.date;
+                    }
+                    // Without an open check-in, coming back from a break is where work resumes
+                    if (!dayStat.lastCheckIn) dayStat.lastCheckIn = log.date;
+                    currentStatus[uid] = { state: 'In', time: log.date, device: log.deviceSN };
+                } else if (type === 'overtime_in') {
+                    if (dayStat.overtimeSince) {
+                        dayStat.anomalies.push({ code: 'double_overtime_in', time, message: `OT-in at ${time} while already on overtime since ${timeOf(dayStat.overtimeSince, zone)}` });
+                    } else {
+                        dayStat.overtimeSince = log.date;
+                    }
+                    currentStatus[uid] = { state: 'Overtime', time: log.date, device: log.deviceSN };
+                } else if (type === 'overtime_out') {
+                    if (dayStat.overtimeSince) {
+                        dayStat.overtimeMs += (log.date - dayStat.overtimeSince);
+                        dayStat.overtimeSince = null;
+                    } else {
+                        dayStat.anomalies.push({ code: 'overtime_out_without_in', time, message: `OT-out at ${time} without an OT-in` });
+                    }
+                    currentStatus[uid] = { state: dayStat.lastCheckIn ? 'In' : 'Out', time: log.date, device: log.deviceSN };
+                }
+            });
 
-        if (!isCheckOut) {
-            if (!dayStat.firstIn) dayStat.firstIn = log.date;
-            dayStat.lastCheckIn = log.date;
-            currentStatus[uid] = { state: 'In', time: log.date };
-        } else {
-            dayStat.lastOut = log.date;
-            if (dayStat.lastCheckIn) {
-                dayStat.totalMs += (log.date - dayStat.lastCheckIn);
-                dayStat.lastCheckIn = null;
+            // Days still in progress can't be judged incomplete yet; break and OT punches pair up on their own
+            const inOutCount = dayStat.rawLogs.filter(l => l.type === 'check_in' || l.type === 'check_out').length;
+            if (!dayStat.isCurrentDay) {
+                if (dayStat.lastCheckIn) {
+                    dayStat.anomalies.push({ code: 'missing_check_out', time: timeOf(dayStat.lastCheckIn, zone), message: `Check-in at ${timeOf(dayStat.lastCheckIn, zone)} has no check-out` });
+                } else if (dayStat.breakSince) {
+                    missingBreakIn();
+                } else if (inOutCount % 2 === 1) {
+                    dayStat.anomalies.push({ code: 'odd_punch_count', time: null, message: `${inOutCount} check-in/out punches recorded (expected an even number)` });
+                }
+                if (dayStat.overtimeSince) {
+                    dayStat.anomalies.push({ code: 'missing_overtime_out', time: timeOf(dayStat.overtimeSince, zone), message: `OT-in at ${timeOf(dayStat.overtimeSince, zone)} has no OT-out` });
+                }
             }
-            currentStatus[uid] = { state: 'Out', time: log.date };
         }
-    });
+    }
 
     const formattedStats = {};
     for (const uid in stats) {
@@ -190,22 +369,38 @@ const calculateStats = (records) => {
             const s = stats[uid][date];
             const hours = Math.floor(s.totalMs / 3600000);
             const mins = Math.floor((s.totalMs % 3600000) / 60000);
+            // Schedule comparison: shift name, late/early/overtime minutes and status
+            const evaluation = attendanceRules.evaluateDay(attendanceRules.resolveShift(uid), date, s, s.zone);
+            const overtimeSessionMinutes = Math.floor(s.overtimeMs / 60000);
             formattedStats[uid][date] = {
                 duration: `${hours}h ${mins}m`,
-                firstIn: s.firstIn ? s.firstIn.toLocaleTimeString('en-GB', { hour12: false }) : '-',
-                lastOut: s.lastOut ? s.lastOut.toLocaleTimeString('en-GB', { hour12: false }) : '-',
+                firstIn: s.firstIn ? timezone.timeOf(s.firstIn, s.zone) : '-',
+                lastOut: s.lastOut ? timezone.timeOf(s.lastOut, s.zone) : '-',
+                timezone: s.zone,
                 totalMs: s.totalMs,
-                logs: s.rawLogs
+                breakMinutes: Math.floor(s.breakMs / 60000),
+                overtimeSessionMinutes,
+                logs: s.rawLogs,
+                anomalies: s.anomalies,
+                ...evaluation,
+                // Punched OT sessions come on top of time worked past the shift
+                overtimeMinutes: evaluation.overtimeMinutes + overtimeSessionMinutes
             };
+
+            // An open check-in or break makes the worked time unreliable; say so instead of 'Half Day'
+            const day = formattedStats[uid][date];
+            if (day.status && (s.lastCheckIn || s.breakSince)) {
+                day.status = s.isCurrentDay ? 'In Progress' : 'Incomplete';
+            }
         }
     }
 
-    const now = new Date();
-    const todayStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    // Anyone still In (or on a break or overtime) from an earlier work day forgot to punch out.
+    // Comparing work days (not calendar days) keeps overnight workers In Office after midnight.
     for (const uid in currentStatus) {
-        const pDate = currentStatus[uid].time;
-        const punchDateStr = `${pDate.getFullYear()}-${String(pDate.getMonth() + 1).padStart(2, '0')}-${String(pDate.getDate()).padStart(2, '0')}`;
-        if (currentStatus[uid].state === 'In' && punchDateStr !== todayStr) {
+        const zone = statusZones[uid];
+        const punchWorkDate = attendanceRules.workDateFor(uid, currentStatus[uid].time, zone);
+        if (currentStatus[uid].state !== 'Out' && punchWorkDate !== attendanceRules.workDateFor(uid, now, zone)) {
             currentStatus[uid].state = 'Out';
         }
     }
@@ -213,99 +408,335 @@ const calculateStats = (records) => {
     return { dailyStats: formattedStats, activeStatus: currentStatus };
 };
 
-async function getUnifiedData(filterType, filterValue) {
+// The timezone a device's clock runs in: its own if set, otherwise the office's.
+// Manual punches (no device) are office time.
+function zoneFor(deviceId) {
+    const device = deviceId ? deviceRegistry.getDevice(deviceId) : null;
+    return (device && device.timezone) || timezone.officeZone();
+}
+
+// Archived punches keep the instant their device's clock was read as, so when a device's
+// zone changes (its own, or the office's for devices without one) its archived punches get
+// new timestamps for the same clock readings. Otherwise the next full download would no
+// longer match and be archived twice. This is the only rewrite the archive ever gets.
+function rezoneArchive(device) {
+    const zone = zoneFor(device.id);
+    const recorded = punchStore.getMeta(device.id).timezone;
+    if (recorded === zone) return;
+    // Archives from before zones could be set were read in the server's own
+    const archivedIn = recorded || timezone.systemZone();
+    if (archivedIn !== zone) {
+        const moved = punchStore.retimeDevicePunches(device.id, ts => timezone.moveZone(new Date(ts), archivedIn, zone).toISOString());
+        corrections.retargetVoids(moved);
+        const count = Object.keys(moved).length;
+        if (count) console.log(`[STORE] ${device.name}: ${count} archived punch(es) moved from ${archivedIn} to ${zone}`);
+    }
+    punchStore.saveMeta(device.id, { timezone: zone });
+}
+
+// Manual punches were typed in office time, so they follow the office zone the same way
+function rezoneCorrections() {
+    const zone = timezone.officeZone();
+    const count = corrections.rezoneManualPunches(zone);
+    if (count) console.log(`[CORRECTIONS] ${count} manual punch(es) moved to ${zone}`);
+}
+
+// Convert a raw device record into the shape kept in the local punch store.
+// Returns null for a record without a readable time (corrupt or half-written on the device).
+function normalizeDeviceLog(log, device) {
+    const ts = log.record_time || log.recordTime || log.timestamp;
+    const userId = log.user_id || log.uid || log.deviceUserId || 'N/A';
+    if (!ts || isNaN(new Date(ts).getTime())) return null;
+    return {
+        uid: userId,
+        timestamp: timezone.fromDeviceClock(new Date(ts), zoneFor(device.id)).toISOString(),
+        status: log.state || log.status || 0,
+        deviceId: device.id,
+        deviceSN: device.serialNumber || device.name
+    };
+}
+
+// --- BACKGROUND DEVICE PULL ---
+// Reports read from the local punch store; only this loop talks to the devices.
+const DEVICE_PULL_INTERVAL_MS = 30000;
+let pullInProgress = null;
+const devicePulls = {}; // deviceId -> { at, success, newPunches, error }
+
+// Concurrent callers share the pull that is already running
+function pullFromDevice(options) {
+    if (!pullInProgress) {
+        pullInProgress = runDevicePulls(options).finally(() => { pullInProgress = null; });
+    }
+    return pullInProgress;
+}
+
+// Pulls every enabled device in turn; one unreachable device doesn't stop the rest
+async function runDevicePulls(options) {
+    const results = [];
+    for (const device of deviceRegistry.listDevices()) {
+        if (!device.enabled) continue;
+        results.push(await pullDevice(device, options));
+    }
+    events.publish('device-status', describeDevices());
+    return {
+        success: results.length > 0 && results.every(r => r.success),
+        newPunches: results.reduce((sum, r) => sum + r.newPunches, 0),
+        devices: results
+    };
+}
+
+async function pullDevice(device, { force = false } = {}) {
+    rezoneArchive(device);
+    // The first download of a device is its whole history, not news worth announcing
+    const firstPull = punchStore.getMeta(device.id).logCount === undefined;
     try {
-        const { logsRaw, usersRaw } = await executeZKAction(async (zk) => {
+        const pulled = await executeZKAction(device, async (zk) => {
+            if (!device.serialNumber) {
+                try {
+                    const sn = await zk.getSerialNumber();
+                    if (sn) deviceRegistry.updateDevice(device.id, { serialNumber: String(sn).trim() });
+                } catch (e) { /* Older firmware may not report it; fall back to the device name */ }
+            }
+
+            // The device can report its log/user counters cheaply; skip the full
+            // download when nothing changed since the previous pull.
+            let info = null;
+            try { info = await zk.getInfo(); } catch (e) { info = null; }
+
+            const meta = punchStore.getMeta(device.id);
+            if (!force && info && meta.logCount === info.logCounts && meta.userCount === info.userCounts) {
+                return { unchanged: true, info };
+            }
+
             const l = await zk.getAttendances();
             const u = await zk.getUsers();
-            return { logsRaw: l, usersRaw: u };
+            return { logsRaw: l, usersRaw: u, info };
+        });
+
+        let fresh = [];
+        if (!pulled.unchanged) {
+            const { logsRaw, usersRaw, info } = pulled;
+            const userList = Array.isArray(usersRaw) ? usersRaw : (usersRaw && usersRaw.data ? usersRaw.data : []);
+            const attendanceList = Array.isArray(logsRaw) ? logsRaw : (logsRaw && logsRaw.data ? logsRaw.data : []);
+
+            if (userList.length) punchStore.saveUsers(device.id, userList);
+            const punches = attendanceList.map(log => normalizeDeviceLog(log, device)).filter(Boolean);
+            if (punches.length < attendanceList.length) {
+                console.warn(`[PULL] ${device.name}: skipped ${attendanceList.length - punches.length} unreadable record(s)`);
+            }
+            fresh = punchStore.addPunches(punches);
+            requeueSkippedDays(fresh);
+            punchStore.saveMeta(device.id, {
+                logCount: info ? info.logCounts : attendanceList.length,
+                userCount: info ? info.userCounts : userList.length
+            });
+
+            if (fresh.length) console.log(`[PULL] ${device.name}: archived ${fresh.length} new punches`);
+            if (fresh.length && !firstPull) announcePunches(device, fresh);
+        }
+
+        devicePulls[device.id] = { at: new Date().toISOString(), success: true, newPunches: fresh.length, error: null };
+    } catch (err) {
+        const wasOnline = !devicePulls[device.id] || devicePulls[device.id].success;
+        devicePulls[device.id] = { at: new Date().toISOString(), success: false, newPunches: 0, error: err.message };
+        if (wasOnline) {
+            events.publish('device-offline', {
+                deviceId: device.id,
+                deviceName: device.name,
+                address: `${device.ip}:${device.port}`,
+                error: err.message
+            });
+        }
+    }
+
+    return { deviceId: device.id, ...devicePulls[device.id] };
+}
+
+// Publish events for punches that just arrived from a device
+function announcePunches(device, fresh) {
+    const names = {};
+    punchStore.getUsers().forEach(u => { names[String(u.userId || u.user_id || u.uid)] = u.name || 'Unknown'; });
+
+    fresh.forEach(p => {
+        events.publish('punch', {
+            uid: String(p.uid),
+            name: names[String(p.uid)] || 'Unknown',
+            timestamp: p.timestamp,
+            status: p.status,
+            type: punchStates.typeOf(p.status),
+            deviceId: device.id,
+            deviceName: device.name
+        });
+    });
+
+    // Presence only changes when one of these punches is the employee's latest
+    // counted punch (a merged duplicate tap or a late-arriving old punch is not)
+    const stats = calculateStats(corrections.applyCorrections(punchStore.getPunches()));
+    const latest = {};
+    fresh.forEach(p => {
+        const uid = String(p.uid);
+        if (!latest[uid] || p.timestamp > latest[uid].timestamp) latest[uid] = p;
+    });
+    for (const uid in latest) {
+        const status = stats.activeStatus[uid];
+        if (!status || status.time.toISOString() !== latest[uid].timestamp) continue;
+        // Overtime counts as in the building, a break as out of it
+        const arrived = status.state === 'In' || status.state === 'Overtime';
+        events.publish(arrived ? 'employee-in' : 'employee-out', {
+            uid,
+            name: names[uid] || 'Unknown',
+            at: latest[uid].timestamp,
+            state: status.state,
+            deviceId: device.id,
+            deviceName: device.name
         });
+    }
+}
+
+// Registry entries plus their live connection state, as shown on the dashboard
+function describeDevices() {
+    return deviceRegistry.listDevices().map(d => {
+        const state = getDeviceState(d.id);
+        return {
+            ...d,
+            busy: state.isDeviceBusy,
+            cooldownUntil: state.cooldownUntil > Date.now() ? new Date(state.cooldownUntil).toISOString() : null,
+            lastPull: devicePulls[d.id] || null
+        };
+    });
+}
+
+// Every YYYY-MM-DD the summary covers for a filter, never past today.
+// An open start begins at the oldest work day with punches.
+function summaryDates(filter, earliestPunch, todayStr) {
+    const from = filter.from || earliestPunch || todayStr;
+    const to = !filter.to || filter.to > todayStr ? todayStr : filter.to;
+    const dates = [];
+    for (let day = from; day <= to; day = timezone.addDays(day, 1)) dates.push(day);
+    return dates;
+}
 
-        const userList = Array.isArray(usersRaw) ? usersRaw : (usersRaw && usersRaw.data ? usersRaw.data : []);
+// Attendance for a filter built by lib/attendanceFilter.js: the punch logs (sorted,
+// and paged when filter.page is set), the per-employee daily summary and live status
+async function getUnifiedData(filter = attendanceFilter.buildFilter()) {
+    try {
         const userMap = {};
-        userList.forEach(u => {
+        punchStore.getUsers().forEach(u => {
             const id = u.userId || u.user_id || u.uid;
             userMap[String(id)] = u.name || 'Unknown';
         });
 
-        const attendanceList = Array.isArray(logsRaw) ? logsRaw : (logsRaw && logsRaw.data ? logsRaw.data : []);
-
-        // Process formatted logs
-        let filteredLogs = attendanceList.map(log => {
-            const ts = log.record_time || log.recordTime || log.timestamp;
-            const userId = log.user_id || log.uid || log.deviceUserId || 'N/A';
-            const logDate = new Date(ts);
-            return {
-                uid: userId,
-                userName: userMap[String(userId)] || 'Unknown',
-                timestamp: logDate.toISOString(),
-                _date: logDate, // Temporary for filtering
-                status: log.state || log.status || 0,
-                deviceSN: log.deviceSN || 'ZK-Device'
-            };
+        // The employee directory is the HR source of truth for names
+        const employeeMap = {};
+        employees.listEmployees().forEach(e => {
+            employeeMap[e.userId] = e;
+            if (e.name) userMap[e.userId] = e.name;
         });
 
-        // Apply filters (Default to today's date if no filter provided)
-        const activeFilterType = filterType || 'date';
-        const today = new Date();
-        const todayStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
-        const activeFilterValue = filterValue || todayStr;
-
-        filteredLogs = filteredLogs.filter(log => {
-            const d = log._date;
-            if (activeFilterType === 'date') {
-                const t = new Date(activeFilterValue + 'T00:00:00');
-                return d.getFullYear() === t.getFullYear() && d.getMonth() === t.getMonth() && d.getDate() === t.getDate();
-            } else if (activeFilterType === 'month') {
-                const [y, m] = activeFilterValue.split('-');
-                return d.getFullYear() === parseInt(y) && (d.getMonth() + 1) === parseInt(m);
-            } else if (activeFilterType === 'year') {
-                return d.getFullYear() === parseInt(activeFilterValue);
-            }
-            return true; // Match all for filterType === ""
-        });
+        // Employee and department filters
+        const inScope = (uid) => {
+            const id = String(uid);
+            if (filter.userIds.length && !filter.userIds.includes(id)) return false;
+            return !filter.department || (employeeMap[id] && employeeMap[id].department === filter.department);
+        };
 
-        // 4. Calculate Stats & Status
+        // Raw device punches with HR corrections applied (voids removed, manual punches added)
+        const attendanceList = corrections.applyCorrections(punchStore.getPunches());
+
+        // Punch logs on the calendar dates of the range
+        const filteredLogs = attendanceList
+            .filter(log => inScope(log.uid) && attendanceFilter.inRange(timezone.dateKey(new Date(log.timestamp), zoneFor(log.deviceId)), filter))
+            .map(log => ({
+                uid: log.uid,
+                userName: userMap[String(log.uid)] || 'Unknown',
+                timestamp: log.timestamp,
+                // The same instant as the clock where the punch was made shows it
+                localTime: timezone.isoWithOffset(new Date(log.timestamp), zoneFor(log.deviceId)),
+                status: log.status,
+                deviceId: log.deviceId,
+                deviceSN: log.deviceSN,
+                source: log.source,
+                punchKey: log.punchKey || null,
+                correctionId: log.correctionId || null
+            }));
+
+        // Stats are worked out over the whole archive so overnight shifts pair up across the range edges
         const stats = calculateStats(attendanceList);
+        const todayStr = timezone.dateKey(new Date());
 
-        // 5. Filter the summary to only include requested date/range
+        // Summary rows on the work days of the range
         const filteredSummary = {};
-        const activeSummaryFilterType = filterType || 'date';
-        const activeSummaryFilterValue = filterValue || todayStr;
-
         for (const uid in stats.dailyStats) {
-            filteredSummary[uid] = {};
+            if (!inScope(uid)) continue;
             for (const dateKey in stats.dailyStats[uid]) {
-                // dateKey is \"YYYY-MM-DD\"
-                let match = false;
-                if (activeSummaryFilterType === 'date') match = (dateKey === activeSummaryFilterValue);
-                else if (activeSummaryFilterType === 'month') match = dateKey.startsWith(activeSummaryFilterValue);
-                else if (activeSummaryFilterType === 'year') match = dateKey.startsWith(activeSummaryFilterValue);
-                else match = true; // For \"All Records\"
-
-                if (match) {
-                    filteredSummary[uid][dateKey] = stats.dailyStats[uid][dateKey];
-                }
-            }
-            // Only include users who have data for this filter
-            if (Object.keys(filteredSummary[uid]).length === 0) {
-                delete filteredSummary[uid];
+                if (!attendanceFilter.inRange(dateKey, filter)) continue;
+                if (!filteredSummary[uid]) filteredSummary[uid] = {};
+                filteredSummary[uid][dateKey] = stats.dailyStats[uid][dateKey];
             }
         }
 
-        // 6. Cleanup for response
-        const finalLogs = filteredLogs.map(({ _date, ...rest }) => rest).reverse();
+        // One row per employee per day in the range, so days without punches say why
+        const earliestPunch = Object.values(stats.dailyStats)
+            .flatMap(days => Object.keys(days))
+            .reduce((min, dateKey) => (!min || dateKey < min ? dateKey : min), null);
+        const range = summaryDates(filter, earliestPunch, todayStr);
+        const roster = new Set([
+            ...Object.keys(userMap).filter(uid => userMap[uid] !== 'Unknown'),
+            ...Object.keys(stats.dailyStats)
+        ]);
+        roster.forEach(uid => {
+            if (!inScope(uid)) return;
+            const employee = employeeMap[uid];
+            const shift = attendanceRules.resolveShift(uid);
+            const days = filteredSummary[uid] || {};
+            const filled = {};
+            range.forEach(dateKey => {
+                const day = calendar.describeDay(uid, dateKey, shift ? shift.workDays : null);
+                if (days[dateKey]) {
+                    filled[dateKey] = { ...days[dateKey], dayStatus: calendar.dayStatus(day, true), holiday: day.holiday, leave: day.leave };
+                    return;
+                }
+                // Nothing is expected of people who have left or had not joined yet
+                if (employee && (!employee.active || (employee.joiningDate && dateKey < employee.joiningDate))) return;
+                filled[dateKey] = {
+                    duration: '0h 0m',
+                    firstIn: '-',
+                    lastOut: '-',
+                    totalMs: 0,
+                    logs: [],
+                    anomalies: [],
+                    shift: shift ? shift.name : null,
+                    lateMinutes: 0,
+                    earlyLeaveMinutes: 0,
+                    overtimeMinutes: 0,
+                    status: null,
+                    dayStatus: calendar.dayStatus(day, false),
+                    holiday: day.holiday,
+                    leave: day.leave
+                };
+            });
+            if (Object.keys(filled).length) filteredSummary[uid] = filled;
+        });
+
+        // Manual punches are appended after device punches, so always sort
+        const sortedLogs = attendanceFilter.sortLogs(filteredLogs, filter);
+        const paged = attendanceFilter.pageOf(sortedLogs, filter);
 
         return {
             success: true,
-            count: finalLogs.length,
-            device: DEVICE_IP,
+            count: sortedLogs.length,
+            page: paged.page,
+            pageSize: paged.pageSize,
+            totalPages: paged.totalPages,
+            devices: describeDevices(),
             filtered: true,
-            filterInfo: { type: activeFilterType, value: activeFilterValue },
-            data: finalLogs,
+            filterInfo: filter,
+            timezone: timezone.officeZone(),
+            data: paged.data,
             summary: filteredSummary,
-            employeeStatus: stats.activeStatus,
-            userNames: userMap
+            employeeStatus: Object.fromEntries(Object.entries(stats.activeStatus).filter(([uid]) => inScope(uid))),
+            userNames: userMap,
+            employees: employeeMap
         };
 
     } catch (err) {
@@ -314,358 +745,1649 @@ async function getUnifiedData(filterType, filterValue) {
     }
 }
 
-// --- API ENDPOINTS ---
-
-app.get('/api/users', async (req, res) => {
-    try {
-        const users = await executeZKAction(async (zk) => {
-            return await zk.getUsers();
-        });
-
-        const userList = Array.isArray(users) ? users : (users && users.data ? users.data : []);
-        const formatted = userList.map(u => ({
-            uid: u.uid,
-            userId: u.user_id || u.userId || u.uid,
-            name: u.name || 'Unknown',
-            role: u.role || 0,
-            cardNo: u.cardno || ''
-        }));
-        res.json({ success: true, data: formatted });
-    } catch (err) {
-        res.status(500).json({ success: false, message: err.message });
-    } finally {
-        isDeviceBusy = false;
-    }
-});
-
-// Helper for robust HTTPS POST with IP fallback
-async function postToCloud(payload) {
-    const CLOUD_HOST = 'demo.jantrah.com';
-    const CLOUD_IP = '72.60.181.228';
-    const CLOUD_PATH = '/project-mgm/web/hr/api/import-attendance';
-
-    const tryRequest = (target, useIP = false) => {
-        return new Promise((resolve, reject) => {
-            const options = {
-                hostname: target,
-                port: 443,
-                path: CLOUD_PATH,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Host': CLOUD_HOST, // Crucial for virtual hosting on direct IP
-                    'User-Agent': 'JTech-Attendance-Server/1.0',
-                    'Content-Length': Buffer.byteLength(JSON.stringify(payload))
-                }
-            };
-
-            // If we are using the IP direct, allow self-signed/mismatched certs for this specific call
-            if (useIP) {
-                options.rejectUnauthorized = false;
-            }
-
-            const req = https.request(options, (res) => {
-                let body = '';
-                res.on('data', chunk => body += chunk);
-                res.on('end', () => resolve({ status: res.statusCode, body }));
-            });
+// --- AUTHENTICATION ---
+// Every /api route needs a signed-in account (lib/accounts.js). The dashboard keeps its
+// session in an HttpOnly cookie; scripts send "Authorization: Bearer <token>" instead.
+// Roles: viewer (dashboard only), hr (corrections, employees, calendar, reports), admin (everything).
+// Employees signed in to self-service (me.html) get their own cookie and only reach /api/self.
+const SESSION_COOKIE = 'jtech_session';
+const EMPLOYEE_SESSION_COOKIE = 'jtech_employee_session';
+const PUBLIC_API_ROUTES = ['/auth/login', '/self/login'];
+
+const generatedAdminPassword = accounts.ensureAdmin(process.env.ADMIN_PASSWORD);
+if (generatedAdminPassword) {
+    console.log(`[AUTH] Created the first account: username "admin", password "${generatedAdminPassword}". Sign in and change it.`);
+}
 
-            req.on('error', reject);
-            req.write(JSON.stringify(payload));
-            req.end();
-        });
-    };
+function sessionToken(req, cookieName = SESSION_COOKIE) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    const cookie = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${cookieName}=`));
+    return cookie ? decodeURIComponent(cookie.slice(cookieName.length + 1)) : null;
+}
 
+// Browsers send Origin on cross-site writes; only this server and the corsOrigins setting may write
+function allowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin || corsOrigins().includes(origin)) return true;
     try {
-        console.log(`[SYNC] Primary attempt: https://${CLOUD_HOST}...`);
-        return await tryRequest(CLOUD_HOST);
+        return new URL(origin).host === req.headers.host;
     } catch (err) {
-        console.warn(`[SYNC] Primary failed: ${err.message}. Trying IP fallback: ${CLOUD_IP}...`);
-        return await tryRequest(CLOUD_IP, true);
+        return false;
     }
 }
 
-// --- AUTOMATED DAILY SYNC ---
-// Helper function to get yesterday's date in YYYY-MM-DD format
-function getYesterdayDateString() {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const y = yesterday.getFullYear();
-    const m = String(yesterday.getMonth() + 1).padStart(2, '0');
-    const d = String(yesterday.getDate()).padStart(2, '0');
-    return `${y}-${m}-${d}`;
+app.use('/api', (req, res, next) => {
+    if (req.method !== 'GET' && !allowedOrigin(req)) {
+        return res.status(403).json({ success: false, message: 'Requests from this origin are not allowed' });
+    }
+    if (PUBLIC_API_ROUTES.includes(req.path)) return next();
+    const selfService = req.path.startsWith('/self/');
+    const account = accounts.authenticate(sessionToken(req, selfService ? EMPLOYEE_SESSION_COOKIE : SESSION_COOKIE));
+    if (!account) return res.status(401).json({ success: false, message: 'Sign in required' });
+    if ((account.role === 'employee') !== selfService) {
+        return res.status(403).json({ success: false, message: selfService ? 'Self-service is for employee sign-ins' : 'Employee sign-ins can only use self-service' });
+    }
+    if (account.role === 'employee') {
+        // Leaving the directory or being marked inactive ends self-service access
+        const employee = employees.getEmployee(account.userId);
+        if (!employee || !employee.active) return res.status(401).json({ success: false, message: 'Sign in required' });
+    }
+    req.account = account;
+    next();
+});
+
+// requireRole('hr') lets HR and admin accounts through
+function requireRole(role) {
+    return (req, res, next) => {
+        if (accounts.hasRole(req.account, role)) return next();
+        res.status(403).json({ success: false, message: `Your account needs the ${role} role for this` });
+    };
 }
 
-// Main automated sync function
-async function performAutoDailySync() {
-    const targetDate = getYesterdayDateString();
-    console.log(`\n========================================`);
-    console.log(`[AUTO-SYNC] Starting automated daily sync for ${targetDate}`);
-    console.log(`[AUTO-SYNC] Time: ${new Date().toLocaleString()}`);
-    console.log(`========================================`);
+// Audit trails ("by") record the signed-in account rather than a name typed into the request
+function signedBy(req, res, next) {
+    const by = req.account.name || req.account.username;
+    if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) req.body.by = by;
+    req.query.by = by;
+    next();
+}
 
-    lastAutoSyncAttempt = new Date().toISOString();
+function startSession(res, username, password) {
+    const result = accounts.signIn(username, password);
+    if (result.token) {
+        res.cookie(SESSION_COOKIE, result.token, { httpOnly: true, sameSite: 'strict', maxAge: accounts.SESSION_TTL_MS });
+    }
+    return result;
+}
 
-    if (!autoSyncEnabled) {
-        console.log('[AUTO-SYNC] Skipped - Auto sync is disabled');
-        return { success: false, reason: 'Auto sync disabled' };
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+        return res.status(400).json({ success: false, message: 'Username and password are required' });
     }
+    const result = startSession(res, username, password);
+    if (result.error) {
+        console.warn(`[AUTH] Failed sign-in for "${username}" from ${req.ip}`);
+        return res.status(result.locked ? 429 : 401).json({ success: false, message: result.error });
+    }
+    console.log(`[AUTH] ${result.account.username} signed in`);
+    res.json({ success: true, data: { token: result.token, expiresAt: result.expiresAt, account: result.account } });
+});
 
-    try {
-        // Fetch yesterday's data
-        const result = await getUnifiedData('date', targetDate);
+app.post('/api/auth/logout', (req, res) => {
+    accounts.signOut(sessionToken(req));
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ success: true });
+});
 
-        if (!result.success) {
-            console.error('[AUTO-SYNC] Failed to fetch data:', result.message);
-            return { success: false, reason: result.message };
-        }
+app.get('/api/auth/me', (req, res) => {
+    res.json({ success: true, data: req.account });
+});
 
-        // Build the payload
-        const externalPayload = [];
-        for (const uid in result.summary) {
-            for (const date in result.summary[uid]) {
-                const s = result.summary[uid][date];
-
-                // Format total_time_worked from "Xh Ym" to "HH:mm:ss"
-                const totalMs = s.totalMs || 0;
-                const h = Math.floor(totalMs / 3600000);
-                const m = Math.floor((totalMs % 3600000) / 60000);
-                const s_time = Math.floor((totalMs % 60000) / 1000);
-                const formattedTotalTime = `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s_time).padStart(2, '0')}`;
-
-                externalPayload.push({
-                    employee_code_id: uid,
-                    name: result.userNames[uid] || 'Unknown',
-                    date: date,
-                    first_Check_In: s.firstIn,
-                    last_check_out: s.lastOut,
-                    total_time_worked: formattedTotalTime,
-                    logs: s.logs || []
-                });
-            }
-        }
+// Changing your own password ends your other sessions and starts a fresh one here
+app.put('/api/auth/password', (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!accounts.verifyPassword(req.account.username, currentPassword)) {
+        return res.status(400).json({ success: false, message: 'Current password is wrong' });
+    }
+    const error = accounts.validateAccount({ password: newPassword }, req.account);
+    if (error) return res.status(400).json({ success: false, message: error });
+    accounts.updateAccount(req.account.username, { password: newPassword });
+    const result = startSession(res, req.account.username, newPassword);
+    res.json({ success: true, data: { token: result.token, expiresAt: result.expiresAt, account: result.account } });
+});
 
-        if (externalPayload.length === 0) {
-            console.log(`[AUTO-SYNC] No records found for ${targetDate}. Skipping sync.`);
-            lastAutoSyncSuccess = {
-                date: new Date().toISOString(),
-                targetDate,
-                status: 'skipped',
-                reason: 'No records for this date'
-            };
-            return { success: true, skipped: true, reason: 'No records' };
-        }
+// --- ACCOUNTS ---
 
-        console.log(`[AUTO-SYNC] Found ${externalPayload.length} employee records for ${targetDate}`);
-        console.log(`[AUTO-SYNC] Posting to cloud...`);
+app.get('/api/accounts', requireRole('admin'), (req, res) => {
+    res.json({ success: true, roles: accounts.ROLES, data: accounts.listAccounts() });
+});
 
-        // Post to cloud
-        const syncResult = await postToCloud(externalPayload);
+app.post('/api/accounts', requireRole('admin'), (req, res) => {
+    const error = accounts.validateAccount(req.body || {});
+    if (error) return res.status(400).json({ success: false, message: error });
+    const account = accounts.createAccount(req.body);
+    console.log(`[AUTH] ${req.account.username} created ${account.role} account ${account.username}`);
+    res.json({ success: true, data: account });
+});
 
-        console.log(`[AUTO-SYNC] Cloud Response Status: ${syncResult.status}`);
-        console.log(`[AUTO-SYNC] Cloud Response Body: ${syncResult.body}`);
+app.put('/api/accounts/:username', requireRole('admin'), (req, res) => {
+    const existing = accounts.getAccount(req.params.username);
+    if (!existing) return res.status(404).json({ success: false, message: 'Account not found' });
+    const body = req.body || {};
+    const error = accounts.validateAccount(body, existing);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const account = accounts.updateAccount(existing.username, body);
+    console.log(`[AUTH] ${req.account.username} updated account ${account.username}`);
+    res.json({ success: true, data: account });
+});
 
-        const isSuccess = syncResult.status >= 200 && syncResult.status < 300;
+app.delete('/api/accounts/:username', requireRole('admin'), (req, res) => {
+    const existing = accounts.getAccount(req.params.username);
+    if (!existing) return res.status(404).json({ success: false, message: 'Account not found' });
+    if (!accounts.canRemove(existing.username)) {
+        return res.status(400).json({ success: false, message: 'This is the only active admin account' });
+    }
+    accounts.removeAccount(existing.username);
+    console.log(`[AUTH] ${req.account.username} removed account ${existing.username}`);
+    res.json({ success: true });
+});
 
-        lastAutoSyncSuccess = {
-            date: new Date().toISOString(),
-            targetDate,
-            status: isSuccess ? 'success' : 'failed',
-            recordsSynced: externalPayload.length,
-            httpStatus: syncResult.status,
-            response: syncResult.body
-        };
+// --- API ENDPOINTS ---
 
-        if (isSuccess) {
-            console.log(`[AUTO-SYNC] ✅ Successfully synced ${externalPayload.length} records for ${targetDate}`);
-        } else {
-            console.error(`[AUTO-SYNC] ❌ Cloud sync failed with status ${syncResult.status}`);
-        }
+app.get('/api/users', async (req, res) => {
+    const { deviceId } = req.query;
+    const targets = deviceId
+        ? deviceRegistry.listDevices().filter(d => d.id === deviceId)
+        : deviceRegistry.listDevices().filter(d => d.enabled);
 
-        return { success: isSuccess, recordsSynced: externalPayload.length };
+    if (targets.length === 0) {
+        return res.status(404).json({ success: false, message: 'No matching device' });
+    }
 
-    } catch (err) {
-        let errMsg = 'Unknown error';
-        if (err && err.message) {
-            errMsg = err.message;
-        } else if (typeof err === 'object') {
-            try { errMsg = JSON.stringify(err); } catch (e) { errMsg = String(err); }
-        } else if (err) {
-            errMsg = String(err);
+    const formatted = [];
+    const errors = [];
+    for (const device of targets) {
+        try {
+            const users = await executeZKAction(device, async (zk) => {
+                return await zk.getUsers();
+            });
+
+            const userList = Array.isArray(users) ? users : (users && users.data ? users.data : []);
+            if (userList.length) punchStore.saveUsers(device.id, userList);
+            userList.forEach(u => formatted.push({
+                uid: u.uid,
+                userId: u.user_id || u.userId || u.uid,
+                name: u.name || 'Unknown',
+                role: u.role || 0,
+                cardNo: u.cardno || '',
+                deviceId: device.id,
+                deviceName: device.name
+            }));
+        } catch (err) {
+            errors.push({ deviceId: device.id, message: err.message });
         }
-        console.error(`[AUTO-SYNC] ❌ Error during auto sync:`, errMsg);
-        lastAutoSyncSuccess = {
-            date: new Date().toISOString(),
-            targetDate,
-            status: 'error',
-            error: errMsg
-        };
-        return { success: false, error: errMsg };
     }
-}
 
-// Schedule the auto sync to run every day at 00:00:01 (1 second after midnight)
-// This ensures we're syncing the PREVIOUS day's data
-const dailySyncJob = schedule.scheduleJob('1 0 0 * * *', async () => {
-    console.log('[SCHEDULER] Midnight trigger activated!');
-    await performAutoDailySync();
+    if (errors.length === targets.length) {
+        return res.status(500).json({ success: false, message: errors.map(e => `${e.deviceId}: ${e.message}`).join('; ') });
+    }
+    res.json({ success: true, data: formatted, errors });
 });
 
-console.log('[SCHEDULER] 🕛 Daily auto-sync scheduled for 00:00:01 every day');
+// --- DEVICE USER MANAGEMENT ---
+// Create, edit and delete users on the terminals themselves. Employees are addressed
+// by their user ID (the code on their punches); each device keeps its own internal uid.
+const DEVICE_USER_ROLES = [0, 14]; // 0 = User, 14 = Admin
+const DEVICE_MAX_UID = 3000;
 
-// API endpoint to check auto-sync status
-app.get('/api/auto-sync/status', (req, res) => {
-    res.json({
-        success: true,
-        enabled: autoSyncEnabled,
-        lastAttempt: lastAutoSyncAttempt,
-        lastResult: lastAutoSyncSuccess,
-        nextScheduledRun: dailySyncJob.nextInvocation() ? dailySyncJob.nextInvocation().toISOString() : null
-    });
-});
+function toUserList(users) {
+    return Array.isArray(users) ? users : (users && users.data ? users.data : []);
+}
 
-// API endpoint to toggle auto-sync
-app.post('/api/auto-sync/toggle', (req, res) => {
-    const { enabled } = req.body;
-    if (typeof enabled === 'boolean') {
-        autoSyncEnabled = enabled;
-    } else {
-        autoSyncEnabled = !autoSyncEnabled;
+// Returns an error message, or null when the fields are usable
+function deviceUserError(body, partial = false) {
+    if (!partial && !/^[A-Za-z0-9]{1,9}$/.test(String(body.userId || ''))) {
+        return 'User ID must be 1-9 letters or digits';
     }
-    res.json({ success: true, enabled: autoSyncEnabled });
-});
+    if (!partial || body.name !== undefined) {
+        if (!body.name || !String(body.name).trim()) return 'Name is required';
+        if (String(body.name).trim().length > 24) return 'Name can be at most 24 characters';
+    }
+    if (body.password !== undefined && body.password !== '' && !/^\d{1,8}$/.test(String(body.password))) {
+        return 'Password must be up to 8 digits';
+    }
+    if (body.role !== undefined && !DEVICE_USER_ROLES.includes(Number(body.role))) {
+        return 'Role must be 0 (User) or 14 (Admin)';
+    }
+    if (body.cardNo !== undefined && body.cardNo !== '') {
+        // zkteco-js writes the card number as a 16-bit field
+        const card = Number(body.cardNo);
+        if (!Number.isInteger(card) || card < 0 || card > 65535) return 'Card number must be between 0 and 65535';
+    }
+    if (!body.by || !String(body.by).trim()) return 'The name of the person making the change is required';
+    return null;
+}
 
-// API endpoint to manually trigger yesterday's sync (for testing)
-app.post('/api/auto-sync/run-now', async (req, res) => {
-    try {
-        console.log('[MANUAL-TRIGGER] Manual auto-sync triggered via API');
-        const result = await performAutoDailySync();
-        res.json({ success: true, result });
-    } catch (err) {
-        res.status(500).json({ success: false, message: err.message });
+// Devices named in the request (?deviceId= or body.deviceIds), otherwise every enabled device
+function userTargetDevices(req) {
+    const ids = req.query.deviceId ? [req.query.deviceId] : (req.body && req.body.deviceIds);
+    if (Array.isArray(ids) && ids.length) {
+        return deviceRegistry.listDevices().filter(d => ids.includes(d.id));
     }
-});
+    return deviceRegistry.listDevices().filter(d => d.enabled);
+}
 
-// API endpoint to sync a specific date manually
-app.post('/api/auto-sync/sync-date', async (req, res) => {
-    try {
-        const { date } = req.body; // Expected format: YYYY-MM-DD
-        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-            return res.status(400).json({ success: false, message: 'Invalid date format. Use YYYY-MM-DD' });
-        }
+// Runs `change(zk, existingUser, allUsers)` on each device, refreshes the local user
+// cache and records every outcome in the change log. `change` returns
+// { after, passwordChanged } or null when the device has nothing to change.
+async function changeDeviceUsers(action, userId, devices, by, change) {
+    const results = [];
+    for (const device of devices) {
+        try {
+            const outcome = await executeZKAction(device, async (zk) => {
+                const users = toUserList(await zk.getUsers());
+                const existing = users.find(u => String(u.userId) === String(userId)) || null;
+                const applied = await change(zk, existing, users);
+                if (!applied) return null;
+                return { ...applied, before: existing, users: toUserList(await zk.getUsers()) };
+            });
 
-        console.log(`[MANUAL-SYNC] Manual sync triggered for date: ${date}`);
+            if (!outcome) {
+                results.push({ deviceId: device.id, deviceName: device.name, success: true, skipped: true, message: 'User not on this device' });
+                continue;
+            }
 
-        const result = await getUnifiedData('date', date);
-        if (!result.success) {
-            return res.status(500).json({ success: false, message: result.message });
+            punchStore.saveUsers(device.id, outcome.users);
+            userChanges.record({ action, userId, device, by, before: outcome.before, after: outcome.after, passwordChanged: outcome.passwordChanged, success: true });
+            console.log(`[USERS] ${by} ${action}d user ${userId} on ${device.name}`);
+            results.push({ deviceId: device.id, deviceName: device.name, success: true });
+        } catch (err) {
+            userChanges.record({ action, userId, device, by, success: false, error: err.message });
+            results.push({ deviceId: device.id, deviceName: device.name, success: false, message: err.message });
         }
+    }
+    return results;
+}
 
-        const externalPayload = [];
-        for (const uid in result.summary) {
-            for (const dateKey in result.summary[uid]) {
-                const s = result.summary[uid][dateKey];
-                const totalMs = s.totalMs || 0;
-                const h = Math.floor(totalMs / 3600000);
-                const m = Math.floor((totalMs % 3600000) / 60000);
-                const s_time = Math.floor((totalMs % 60000) / 1000);
-                const formattedTotalTime = `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s_time).padStart(2, '0')}`;
-
-                externalPayload.push({
-                    employee_code_id: uid,
-                    name: result.userNames[uid] || 'Unknown',
-                    date: dateKey,
-                    first_Check_In: s.firstIn,
-                    last_check_out: s.lastOut,
-                    total_time_worked: formattedTotalTime,
-                    logs: s.logs || []
-                });
-            }
-        }
+function sendUserChangeResults(res, results) {
+    const failed = results.filter(r => !r.success);
+    if (results.length && results.every(r => r.skipped)) {
+        return res.status(404).json({ success: false, message: 'User not found on any of the selected devices', data: results });
+    }
+    if (failed.length === results.length) {
+        return res.status(500).json({ success: false, message: failed.map(r => `${r.deviceName}: ${r.message}`).join('; '), data: results });
+    }
+    res.json({ success: failed.length === 0, data: results });
+}
 
-        if (externalPayload.length === 0) {
-            return res.json({ success: false, message: `No records found for ${date}` });
-        }
+// Log of user changes made from here, newest first (?userId= narrows it)
+app.get('/api/users/changes', requireRole('hr'), (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+    res.json({ success: true, data: userChanges.list({ userId: req.query.userId, limit }) });
+});
 
-        const syncResult = await postToCloud(externalPayload);
-        const isSuccess = syncResult.status >= 200 && syncResult.status < 300;
+app.post('/api/users', requireRole('admin'), signedBy, async (req, res) => {
+    const body = req.body || {};
+    const error = deviceUserError(body);
+    if (error) return res.status(400).json({ success: false, message: error });
 
-        let responseJson = {};
-        try { responseJson = JSON.parse(syncResult.body); } catch (e) { responseJson = { raw: syncResult.body }; }
+    const devices = userTargetDevices(req);
+    if (!devices.length) return res.status(404).json({ success: false, message: 'No matching device' });
 
-        res.json({
-            success: isSuccess,
-            date,
-            recordsSynced: externalPayload.length,
-            externalStatus: syncResult.status,
-            externalResponse: responseJson
-        });
+    const userId = String(body.userId);
+    const results = await changeDeviceUsers('create', userId, devices, body.by, async (zk, existing, users) => {
+        if (existing) throw new Error(`User ID ${userId} already exists (uid ${existing.uid})`);
+        const uid = users.reduce((max, u) => Math.max(max, parseInt(u.uid) || 0), 0) + 1;
+        if (uid > DEVICE_MAX_UID) throw new Error('Device user list is full');
 
-    } catch (err) {
-        console.error('[MANUAL-SYNC] Error:', err.message);
-        res.status(500).json({ success: false, message: err.message });
-    }
+        const after = { uid, userId, name: String(body.name).trim(), role: Number(body.role || 0), cardno: Number(body.cardNo || 0) };
+        await zk.setUser(uid, userId, after.name, String(body.password || ''), after.role, after.cardno);
+        return { after, passwordChanged: !!body.password };
+    });
+    sendUserChangeResults(res, results);
 });
 
-// Update device configuration
-app.post('/api/config', (req, res) => {
-    const { ip, port } = req.body;
-    if (ip) DEVICE_IP = ip;
-    if (port) DEVICE_PORT = parseInt(port);
-    res.json({ success: true, ip: DEVICE_IP, port: DEVICE_PORT });
+// Fields left out keep their current value on each device
+app.put('/api/users/:userId', requireRole('admin'), signedBy, async (req, res) => {
+    const body = req.body || {};
+    const error = deviceUserError(body, true);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const devices = userTargetDevices(req);
+    if (!devices.length) return res.status(404).json({ success: false, message: 'No matching device' });
+
+    const userId = req.params.userId;
+    const results = await changeDeviceUsers('update', userId, devices, body.by, async (zk, existing) => {
+        if (!existing) return null;
+        const passwordChanged = body.password !== undefined && body.password !== '';
+        const after = {
+            uid: existing.uid,
+            userId,
+            name: body.name !== undefined ? String(body.name).trim() : existing.name,
+            role: body.role !== undefined ? Number(body.role) : (existing.role || 0),
+            cardno: body.cardNo !== undefined && body.cardNo !== '' ? Number(body.cardNo) : (Number(existing.cardno) || 0)
+        };
+        const password = passwordChanged ? String(body.password) : String(existing.password || '');
+        await zk.setUser(existing.uid, userId, after.name, password, after.role, after.cardno);
+        return { after, passwordChanged };
+    });
+    sendUserChangeResults(res, results);
 });
 
-// External API Cloud Sync
-app.post('/api/sync', async (req, res) => {
-    try {
-        const { type, value } = req.body;
-        const result = await getUnifiedData(type, value);
+// Removes the user from the terminals; their archived punches stay in the reports
+app.delete('/api/users/:userId', requireRole('admin'), signedBy, async (req, res) => {
+    const body = req.body || {};
+    const by = body.by || req.query.by;
+    if (!by || !String(by).trim()) {
+        return res.status(400).json({ success: false, message: 'The name of the person making the change is required' });
+    }
 
-        if (!result.success) {
-            return res.status(500).json(result);
+    const devices = userTargetDevices(req);
+    if (!devices.length) return res.status(404).json({ success: false, message: 'No matching device' });
+
+    const results = await changeDeviceUsers('delete', req.params.userId, devices, by, async (zk, existing) => {
+        if (!existing) return null;
+        await zk.deleteUser(existing.uid);
+        return { after: null, passwordChanged: false };
+    });
+    sendUserChangeResults(res, results);
+});
+
+// --- EMPLOYEE DIRECTORY ---
+// HR details (employee code, department, designation, joining date) kept here and
+// matched to punches by device user ID.
+const EMPLOYEE_IMPORT_TYPES = [
+    'text/csv',
+    'text/plain',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel',
+    'application/octet-stream'
+];
+
+app.get('/api/employees', (req, res) => {
+    const { department } = req.query;
+    const list = employees.listEmployees()
+        .filter(e => !department || e.department === department)
+        .map(e => ({ ...e, hasPin: accounts.hasEmployeePin(e.userId) }));
+    res.json({ success: true, data: list, departments: employees.listDepartments() });
+});
+
+app.post('/api/employees', requireRole('hr'), (req, res) => {
+    const body = req.body || {};
+    const error = employees.validateEmployee(body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    if (employees.getEmployee(String(body.userId).trim())) {
+        return res.status(409).json({ success: false, message: `User ID ${body.userId} is already in the directory` });
+    }
+    res.json({ success: true, data: employees.saveEmployee(body.userId, body) });
+});
+
+app.put('/api/employees/:userId', requireRole('hr'), (req, res) => {
+    if (!employees.getEmployee(req.params.userId)) {
+        return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+    const body = { ...(req.body || {}), userId: req.params.userId };
+    const error = employees.validateEmployee(body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    res.json({ success: true, data: employees.saveEmployee(req.params.userId, body) });
+});
+
+app.delete('/api/employees/:userId', requireRole('hr'), (req, res) => {
+    if (!employees.removeEmployee(req.params.userId)) {
+        return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+    res.json({ success: true });
+});
+
+// Self-service PIN, set by HR and told to the employee
+app.put('/api/employees/:userId/pin', requireRole('hr'), (req, res) => {
+    if (!employees.getEmployee(req.params.userId)) {
+        return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+    const error = accounts.validatePin((req.body || {}).pin);
+    if (error) return res.status(400).json({ success: false, message: error });
+    accounts.setEmployeePin(req.params.userId, String(req.body.pin));
+    console.log(`[EMPLOYEES] ${req.account.username} set the self-service PIN for ${req.params.userId}`);
+    res.json({ success: true });
+});
+
+app.delete('/api/employees/:userId/pin', requireRole('hr'), (req, res) => {
+    if (!accounts.clearEmployeePin(req.params.userId)) {
+        return res.status(404).json({ success: false, message: 'No PIN is set for this employee' });
+    }
+    res.json({ success: true });
+});
+
+// Body is the raw CSV or XLSX file; rows with errors are skipped and reported.
+// ?dryRun=1 only checks the file.
+app.post('/api/employees/import', requireRole('hr'), express.raw({ type: EMPLOYEE_IMPORT_TYPES, limit: '5mb' }), (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ success: false, message: 'Upload a CSV or XLSX file as the request body' });
+    }
+    try {
+        const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+        const result = employees.importEmployees(req.body, { dryRun });
+        console.log(`[EMPLOYEES] Import${dryRun ? ' (dry run)' : ''}: ${result.created} new, ${result.updated} updated, ${result.errors.length} rejected`);
+        res.json({ success: true, dryRun, data: result });
+    } catch (err) {
+        res.status(400).json({ success: false, message: `Could not read the file: ${err.message}` });
+    }
+});
+
+// Push attendance (a getUnifiedData() result) to each given sync target, shaped in
+// that target's payload format, and collect the outcome per target.
+// A failing target never stops the others.
+async function postToTargets(targets, data, extraHeaders = {}) {
+    const results = [];
+    for (const target of targets) {
+        const rendered = payloadFormats.render(target.format, data);
+        try {
+            const result = await syncTargets.post(target, rendered, extraHeaders);
+            const ok = syncTargets.isSuccess(result);
+            console.log(`[SYNC] ${target.name}: HTTP ${result.status} via ${result.via}`);
+            console.log(`[SYNC] ${target.name}: Response Body: ${result.body}`);
+            results.push({
+                targetId: target.id,
+                name: target.name,
+                success: ok,
+                records: rendered.count,
+                format: `${rendered.type}/${rendered.encoding}`,
+                httpStatus: result.status,
+                response: result.body,
+                via: result.via,
+                error: ok ? null : `HTTP ${result.status}`
+            });
+        } catch (err) {
+            console.error(`[SYNC] ${target.name}: ${describeError(err)}`);
+            results.push({
+                targetId: target.id,
+                name: target.name,
+                success: false,
+                records: rendered.count,
+                format: `${rendered.type}/${rendered.encoding}`,
+                httpStatus: null,
+                response: null,
+                via: null,
+                error: describeError(err)
+            });
+        }
+    }
+    return results;
+}
+
+// --- AUTOMATED DAILY SYNC ---
+// Helper function to get yesterday's date in YYYY-MM-DD format
+// (yesterday in the office, wherever the server is)
+function getYesterdayDateString() {
+    return timezone.addDays(timezone.dateKey(new Date()), -1);
+}
+
+// Nothing to push when nobody punched; a range of only absences, weekends and
+// holidays usually means the office was closed or the devices were down
+function hasSyncableData(data) {
+    const anyonePresent = Object.values(data.summary).some(days =>
+        Object.values(days).some(day => day.dayStatus === 'Present'));
+    return anyonePresent || data.data.length > 0;
+}
+
+// Stand-in for getUnifiedData() when only the connection is being tested
+const EMPTY_SYNC_DATA = { summary: {}, data: [], userNames: {}, employees: {} };
+
+// --- SYNC OUTBOX ---
+// Every day to push goes through the persistent ledger in lib/syncOutbox.js.
+// Failed pushes are retried with backoff; after a restart, unsynced days are caught up.
+const OUTBOX_POLL_MS = 60000;
+const CATCH_UP_MAX_DAYS = 90;
+let outboxRun = null;
+
+// Sends one queued date to every enabled target that has not accepted it yet
+// and records the outcome in the ledger
+async function attemptOutboxDay(date) {
+    const targetIds = syncTargets.enabledTargets().map(t => t.id);
+    if (targetIds.length === 0) {
+        syncOutbox.markAttempt(date);
+        return logRetry(syncOutbox.markFailure(date, { error: 'No sync targets are enabled' }));
+    }
+
+    let data;
+    try {
+        data = await getUnifiedData(attendanceFilter.buildFilter({ type: 'date', value: date }));
+    } catch (err) {
+        return logRetry(syncOutbox.markFailure(date, { error: `Could not build payload: ${describeError(err)}` }));
+    }
+
+    if (!hasSyncableData(data)) {
+        console.log(`[OUTBOX] No records found for ${date}. Skipping sync.`);
+        return syncOutbox.markSkipped(date, 'No records for this date');
+    }
+
+    // The ledger keeps the day's summary in the internal field names; each target
+    // gets it rendered in its own format
+    const payload = payloadFormats.buildRecords('daily-summary', data);
+    const entry = syncOutbox.markAttempt(date, payload);
+    const due = syncOutbox.pendingTargets(date, targetIds).map(id => syncTargets.getTarget(id));
+    console.log(`[OUTBOX] Posting ${payload.length} records for ${date} to ${due.length} target(s) (attempt ${entry.attempts})...`);
+
+    const results = await postToTargets(due, data, { 'Idempotency-Key': entry.idempotencyKey });
+    results.forEach(r => syncOutbox.markTargetResult(date, r.targetId, r));
+
+    const failed = results.filter(r => !r.success);
+    if (failed.length === 0) {
+        const last = results[results.length - 1] || {};
+        console.log(`[OUTBOX] ✅ Successfully synced ${payload.length} records for ${date}`);
+        return syncOutbox.markSuccess(date, { httpStatus: last.httpStatus || null, response: last.response || null });
+    }
+    return logRetry(syncOutbox.markFailure(date, {
+        httpStatus: failed[0].httpStatus,
+        response: failed[0].response,
+        error: failed.map(r => `${r.name}: ${r.error}`).join('; ')
+    }));
+}
+
+// The work days the given punches land on
+function workDatesOf(punches) {
+    return [...new Set(punches.map(p => attendanceRules.workDateFor(String(p.uid), new Date(p.timestamp), zoneFor(p.deviceId))))];
+}
+
+// A day skipped for having no records (e.g. the devices were unreachable when it was due)
+// is sent after all once its punches arrive
+function requeueSkippedDays(punches) {
+    const skipped = workDatesOf(punches).filter(date => {
+        const entry = syncOutbox.getEntry(date);
+        return entry && entry.status === 'skipped';
+    });
+    if (!skipped.length) return;
+    skipped.forEach(date => syncOutbox.enqueue(date, 'late-punches', { force: true }));
+    console.log(`[OUTBOX] Punches arrived for ${skipped.join(', ')}, which had nothing to send before; queued again`);
+    processOutbox();
+}
+
+function logRetry(entry) {
+    console.error(`[OUTBOX] ❌ ${entry.date} failed (${entry.lastError}). Next retry at ${entry.nextAttemptAt}`);
+    events.publish('sync-failed', {
+        date: entry.date,
+        trigger: entry.trigger,
+        attempts: entry.attempts,
+        httpStatus: entry.httpStatus,
+        error: entry.lastError,
+        nextRetryAt: entry.nextAttemptAt
+    });
+    return entry;
+}
+
+// Only one run at a time; a call during a run waits for that run instead of starting another
+function processOutbox() {
+    if (!outboxRun) outboxRun = sendDueDays().finally(() => { outboxRun = null; });
+    return outboxRun;
+}
+
+async function sendDueDays() {
+    try {
+        for (const entry of syncOutbox.dueEntries()) {
+            // Disabling auto sync also pauses its retries; manual requests still go out
+            if (!autoSyncEnabled() && entry.trigger !== 'manual') continue;
+            await attemptOutboxDay(entry.date);
+        }
+    } catch (err) {
+        console.error('[OUTBOX] Error while processing outbox:', describeError(err));
+    }
+}
+
+// After downtime, queue every day since the last successful sync up to yesterday
+function queueCatchUpDays() {
+    if (!autoSyncEnabled()) return;
+
+    const yesterday = getYesterdayDateString();
+    const lastSuccess = syncOutbox.getLastSuccessDate();
+    const earliest = timezone.addDays(yesterday, -(CATCH_UP_MAX_DAYS - 1));
+    let date = lastSuccess ? timezone.addDays(lastSuccess, 1) : yesterday;
+    if (date < earliest) {
+        console.warn(`[OUTBOX] Last successful sync was ${lastSuccess}; only catching up the last ${CATCH_UP_MAX_DAYS} days`);
+        date = earliest;
+    }
+
+    let queued = 0;
+    for (; date <= yesterday; date = timezone.addDays(date, 1)) {
+        if (syncOutbox.getEntry(date)) continue; // Already done or already queued
+        syncOutbox.enqueue(date, 'catch-up');
+        queued++;
+    }
+    if (queued) console.log(`[OUTBOX] Queued ${queued} unsynced day(s) for catch-up`);
+}
+
+// Main automated sync function
+async function performAutoDailySync({ force = false } = {}) {
+    const targetDate = getYesterdayDateString();
+    console.log(`\n========================================`);
+    console.log(`[AUTO-SYNC] Starting automated daily sync for ${targetDate}`);
+    console.log(`[AUTO-SYNC] Time: ${new Date().toLocaleString()}`);
+    console.log(`========================================`);
+
+    lastAutoSyncAttempt = new Date().toISOString();
+
+    if (!autoSyncEnabled()) {
+        console.log('[AUTO-SYNC] Skipped - Auto sync is disabled');
+        return { success: false, reason: 'Auto sync disabled' };
+    }
+
+    try {
+        // Make sure the last punches of the day are archived before building the payload
+        const pull = await pullFromDevice();
+        pull.devices.filter(d => !d.success).forEach(d => {
+            console.warn(`[AUTO-SYNC] Pull from ${d.deviceId} failed (${d.error}). Syncing from local store.`);
+        });
+
+        syncOutbox.enqueue(targetDate, 'auto', { force });
+        const entry = syncOutbox.getEntry(targetDate).status === 'pending'
+            ? await attemptOutboxDay(targetDate)
+            : syncOutbox.getEntry(targetDate);
+
+        lastAutoSyncSuccess = {
+            date: new Date().toISOString(),
+            targetDate,
+            status: entry.status === 'retrying' ? 'failed' : entry.status,
+            recordsSynced: entry.records,
+            httpStatus: entry.httpStatus,
+            response: entry.response,
+            error: entry.status === 'retrying' ? entry.lastError : undefined,
+            nextRetryAt: entry.nextAttemptAt
+        };
+
+        // Pick up any older days that are still missing
+        queueCatchUpDays();
+        processOutbox();
+
+        return {
+            success: entry.status === 'success' || entry.status === 'skipped',
+            skipped: entry.status === 'skipped',
+            recordsSynced: entry.records
+        };
+
+    } catch (err) {
+        const errMsg = describeError(err);
+        console.error(`[AUTO-SYNC] ❌ Error during auto sync:`, errMsg);
+        lastAutoSyncSuccess = {
+            date: new Date().toISOString(),
+            targetDate,
+            status: 'error',
+            error: errMsg
+        };
+        return { success: false, error: errMsg };
+    }
+}
+
+// Schedule the auto sync; the default runs every day at 00:00:01 (1 second after midnight)
+// This ensures we're syncing the PREVIOUS day's data
+let dailySyncJob = null;
+
+// Cron schedules run on the office clock
+function officeSchedule(cron) {
+    return { rule: cron, tz: timezone.officeZone() };
+}
+
+function scheduleDailySync() {
+    dailySyncJob = schedule.scheduleJob(officeSchedule(settings.getSettings().autoSync.schedule), async () => {
+        console.log('[SCHEDULER] Daily trigger activated!');
+        await performAutoDailySync();
+    });
+    console.log(`[SCHEDULER] 🕛 Daily auto-sync scheduled ("${settings.getSettings().autoSync.schedule}"), next run ${dailySyncJob.nextInvocation()}`);
+}
+
+// API endpoint to check auto-sync status
+app.get('/api/auto-sync/status', (req, res) => {
+    res.json({
+        success: true,
+        enabled: autoSyncEnabled(),
+        schedule: settings.getSettings().autoSync.schedule,
+        lastAttempt: lastAutoSyncAttempt,
+        lastResult: lastAutoSyncSuccess,
+        lastSuccessfulDate: syncOutbox.getLastSuccessDate(),
+        queued: syncOutbox.history().filter(e => e.status === 'pending' || e.status === 'retrying').length,
+        nextScheduledRun: dailySyncJob && dailySyncJob.nextInvocation() ? dailySyncJob.nextInvocation().toISOString() : null
+    });
+});
+
+// Per-date sync ledger (newest first). ?from=&to= narrow the range, ?includePayload=1 adds the sent data.
+// The payloads hold everyone's attendance, so viewers don't get it.
+app.get('/api/auto-sync/history', requireRole('hr'), (req, res) => {
+    const { from, to, includePayload } = req.query;
+    const entries = syncOutbox.history({ from, to }).map(e => {
+        if (includePayload) return e;
+        const { payload, ...rest } = e;
+        return rest;
+    });
+    res.json({ success: true, lastSuccessfulDate: syncOutbox.getLastSuccessDate(), data: entries });
+});
+
+// API endpoint to toggle auto-sync
+// Saved in the settings, so it survives a restart
+app.post('/api/auto-sync/toggle', requireRole('admin'), (req, res) => {
+    const { enabled } = req.body;
+    const result = settings.updateSettings({ autoSync: { enabled: typeof enabled === 'boolean' ? enabled : !autoSyncEnabled() } });
+    if (result.error) return res.status(409).json({ success: false, message: result.error });
+    applySettingChanges(result.changed);
+    res.json({ success: true, enabled: autoSyncEnabled() });
+});
+
+// API endpoint to manually trigger yesterday's sync (for testing)
+app.post('/api/auto-sync/run-now', requireRole('admin'), async (req, res) => {
+    try {
+        console.log('[MANUAL-TRIGGER] Manual auto-sync triggered via API');
+        const result = await performAutoDailySync({ force: true });
+        res.json({ success: true, result });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+// API endpoint to sync a specific date manually
+app.post('/api/auto-sync/sync-date', requireRole('admin'), async (req, res) => {
+    try {
+        const { date } = req.body; // Expected format: YYYY-MM-DD
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ success: false, message: 'Invalid date format. Use YYYY-MM-DD' });
+        }
+
+        console.log(`[MANUAL-SYNC] Manual sync triggered for date: ${date}`);
+
+        syncOutbox.enqueue(date, 'manual', { force: true });
+        const entry = await attemptOutboxDay(date);
+
+        if (entry.status === 'skipped') {
+            return res.json({ success: false, message: `No records found for ${date}` });
+        }
+
+        let responseJson = {};
+        try { responseJson = JSON.parse(entry.response); } catch (e) { responseJson = { raw: entry.response }; }
+
+        res.json({
+            success: entry.status === 'success',
+            date,
+            recordsSynced: entry.records,
+            externalStatus: entry.httpStatus,
+            externalResponse: responseJson,
+            message: entry.lastError || undefined,
+            attempts: entry.attempts,
+            nextRetryAt: entry.nextAttemptAt,
+            targets: entry.targets
+        });
+
+    } catch (err) {
+        console.error('[MANUAL-SYNC] Error:', err.message);
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+// --- SETTINGS API ---
+
+// Puts changed settings into effect straight away (except the port)
+function applySettingChanges(changed) {
+    const current = settings.getSettings();
+    const zoneChanged = changed.includes('timezone');
+    if (zoneChanged) {
+        console.log(`[SETTINGS] Office timezone is now ${timezone.officeZone()}`);
+        deviceRegistry.listDevices().forEach(rezoneArchive);
+        rezoneCorrections();
+    }
+    if (dailySyncJob && (zoneChanged || changed.includes('autoSync.schedule'))) {
+        dailySyncJob.reschedule(officeSchedule(current.autoSync.schedule));
+        console.log(`[SCHEDULER] Daily auto-sync rescheduled ("${current.autoSync.schedule}"), next run ${dailySyncJob.nextInvocation()}`);
+    }
+    if (clockSyncJob && (zoneChanged || changed.includes('clockSync.schedule'))) {
+        clockSyncJob.reschedule(officeSchedule(current.clockSync.schedule));
+        console.log(`[CLOCK] Device clock sync rescheduled ("${current.clockSync.schedule}")`);
+    }
+    if (changed.includes('autoSync.enabled')) {
+        console.log(`[SCHEDULER] Auto-sync ${current.autoSync.enabled ? 'enabled' : 'disabled'}`);
+        if (current.autoSync.enabled) {
+            queueCatchUpDays();
+            processOutbox();
+        }
+    }
+}
+
+// overridden lists the settings that come from environment variables (read-only here)
+app.get('/api/settings', (req, res) => {
+    res.json({ success: true, data: settings.getSettings(), overridden: settings.overriddenSettings() });
+});
+
+// Partial update, e.g. { "autoSync": { "schedule": "0 30 1 * * *" } }; all or nothing
+app.put('/api/settings', requireRole('admin'), (req, res) => {
+    const result = settings.updateSettings(req.body);
+    if (result.error) return res.status(400).json({ success: false, message: result.error });
+    applySettingChanges(result.changed);
+    if (result.changed.length) console.log(`[SETTINGS] ${req.account.username} changed ${result.changed.join(', ')}`);
+    res.json({
+        success: true,
+        data: result.settings,
+        overridden: settings.overriddenSettings(),
+        changed: result.changed,
+        restartRequired: result.settings.port !== PORT // The server keeps listening on the old port until then
+    });
+});
+
+// --- SYNC TARGETS ---
+// Where the daily summary is pushed. Stored in data/sync-targets.json; auth tokens are write-only.
+
+app.get('/api/sync-targets', requireRole('admin'), (req, res) => {
+    res.json({ success: true, data: syncTargets.listTargets().map(syncTargets.describeTarget) });
+});
+
+app.post('/api/sync-targets', requireRole('admin'), (req, res) => {
+    const error = syncTargets.validateTarget(req.body || {});
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const target = syncTargets.addTarget(req.body);
+    console.log(`[SYNC] Added sync target ${target.name} (${target.url})`);
+    res.json({ success: true, data: syncTargets.describeTarget(target) });
+});
+
+app.put('/api/sync-targets/:id', requireRole('admin'), (req, res) => {
+    const existing = syncTargets.getTarget(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Sync target not found' });
+    const error = syncTargets.validateTarget({ ...existing, ...(req.body || {}) });
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const target = syncTargets.updateTarget(req.params.id, req.body);
+    res.json({ success: true, data: syncTargets.describeTarget(target) });
+});
+
+app.delete('/api/sync-targets/:id', requireRole('admin'), (req, res) => {
+    if (!syncTargets.removeTarget(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Sync target not found' });
+    }
+    res.json({ success: true });
+});
+
+// What one target would receive for a filter (?type=date&value=2024-05-01), without sending it
+app.get('/api/sync-targets/:id/preview', requireRole('admin'), async (req, res) => {
+    const target = syncTargets.getTarget(req.params.id);
+    if (!target) return res.status(404).json({ success: false, message: 'Sync target not found' });
+    const error = attendanceFilter.validateFilter(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+    try {
+        const data = await getUnifiedData(attendanceFilter.buildFilter({ ...req.query, page: undefined }));
+        res.json({ success: true, data: payloadFormats.render(target.format, data) });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+// Available payload formats and the field names each one can rename
+app.get('/api/payload-formats', requireRole('admin'), (req, res) => {
+    res.json({ success: true, data: payloadFormats.listFormats() });
+});
+
+// Posts an empty batch (marked with X-Connection-Test) to check URL, auth and TLS without sending data
+app.post('/api/sync-targets/:id/test', requireRole('admin'), async (req, res) => {
+    const target = syncTargets.getTarget(req.params.id);
+    if (!target) return res.status(404).json({ success: false, message: 'Sync target not found' });
+
+    const started = Date.now();
+    const [result] = await postToTargets([target], EMPTY_SYNC_DATA, { 'X-Connection-Test': '1' });
+    res.json({
+        success: result.success,
+        data: { ...result, durationMs: Date.now() - started },
+        message: result.success ? undefined : result.error
+    });
+});
+
+// --- LIVE UPDATES ---
+// Dashboards keep one Server-Sent Events stream open instead of polling. Every bus
+// event is forwarded; the browser re-reads the local store when punches change.
+const LIVE_KEEPALIVE_MS = 25000;
+const liveClients = new Set();
+
+function sendLive(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+app.get('/api/events/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n'); // Browser reconnect delay
+
+    // Start with the current device health so the header is right straight away
+    sendLive(res, { id: 'snapshot', type: 'device-status', data: describeDevices() });
+    liveClients.add(res);
+    req.on('close', () => liveClients.delete(res));
+});
+
+events.subscribe(event => liveClients.forEach(res => sendLive(res, event)));
+
+// --- WEBHOOKS ---
+// Other systems subscribe to events (see lib/events.js); deliveries are signed and retried.
+const WEBHOOK_RETRY_POLL_MS = 15000;
+
+app.get('/api/webhooks', requireRole('admin'), (req, res) => {
+    res.json({ success: true, events: events.EVENT_TYPES, data: webhooks.listWebhooks().map(webhooks.describeWebhook) });
+});
+
+// The response is the only time the signing secret is shown (besides rotating it)
+app.post('/api/webhooks', requireRole('admin'), (req, res) => {
+    const error = webhooks.validateWebhook(req.body || {});
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const webhook = webhooks.addWebhook(req.body);
+    console.log(`[WEBHOOK] Added ${webhook.name} (${webhook.url}) for ${webhook.events.join(', ')}`);
+    res.json({ success: true, data: { ...webhooks.describeWebhook(webhook), secret: webhook.secret } });
+});
+
+// { rotateSecret: true } issues a new secret and returns it
+app.put('/api/webhooks/:id', requireRole('admin'), (req, res) => {
+    const existing = webhooks.getWebhook(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    const error = webhooks.validateWebhook({ ...existing, ...(req.body || {}) });
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const webhook = webhooks.updateWebhook(req.params.id, req.body);
+    const data = webhooks.describeWebhook(webhook);
+    if (req.body.rotateSecret) data.secret = webhook.secret;
+    res.json({ success: true, data });
+});
+
+app.delete('/api/webhooks/:id', requireRole('admin'), (req, res) => {
+    if (!webhooks.removeWebhook(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+    res.json({ success: true });
+});
+
+// Sends a signed 'ping' event and reports how the receiver answered
+app.post('/api/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+    const delivery = await webhooks.sendTest(req.params.id);
+    if (!delivery) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    res.json({ success: delivery.status === 'delivered', data: delivery, message: delivery.lastError || undefined });
+});
+
+// Delivery log, newest first. ?webhookId=&status=&limit= narrow it down.
+app.get('/api/webhooks/deliveries', requireRole('admin'), (req, res) => {
+    const { webhookId, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    res.json({ success: true, data: webhooks.listDeliveries({ webhookId, status, limit }) });
+});
+
+app.post('/api/webhooks/deliveries/:id/redeliver', requireRole('admin'), async (req, res) => {
+    if (webhooks.isSending(req.params.id)) {
+        return res.status(409).json({ success: false, message: 'This delivery is being sent right now' });
+    }
+    const delivery = await webhooks.redeliver(req.params.id);
+    if (!delivery) return res.status(404).json({ success: false, message: 'Delivery not found' });
+    res.json({ success: delivery.status === 'delivered', data: delivery, message: delivery.lastError || undefined });
+});
+
+// --- SHIFT SCHEDULES ---
+
+app.get('/api/shifts', (req, res) => {
+    res.json({ success: true, data: attendanceRules.getRules() });
+});
+
+app.post('/api/shifts', requireRole('hr'), (req, res) => {
+    const error = attendanceRules.validateShift(req.body || {});
+    if (error) return res.status(400).json({ success: false, message: error });
+    res.json({ success: true, data: attendanceRules.addShift(req.body) });
+});
+
+app.put('/api/shifts/:id', requireRole('hr'), (req, res) => {
+    const existing = attendanceRules.getShift(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Shift not found' });
+
+    const error = attendanceRules.validateShift({ ...existing, ...req.body });
+    if (error) return res.status(400).json({ success: false, message: error });
+    res.json({ success: true, data: attendanceRules.updateShift(req.params.id, req.body) });
+});
+
+app.delete('/api/shifts/:id', requireRole('hr'), (req, res) => {
+    if (!attendanceRules.removeShift(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Shift not found' });
+    }
+    res.json({ success: true });
+});
+
+app.post('/api/shift-groups', requireRole('hr'), (req, res) => {
+    const { name, shiftId } = req.body || {};
+    if (!name || !String(name).trim()) return res.status(400).json({ success: false, message: 'Group name is required' });
+    if (shiftId && !attendanceRules.getShift(shiftId)) return res.status(400).json({ success: false, message: 'Unknown shift' });
+    res.json({ success: true, data: attendanceRules.addGroup(req.body) });
+});
+
+app.put('/api/shift-groups/:id', requireRole('hr'), (req, res) => {
+    const { shiftId } = req.body || {};
+    if (shiftId && !attendanceRules.getShift(shiftId)) return res.status(400).json({ success: false, message: 'Unknown shift' });
+    const group = attendanceRules.updateGroup(req.params.id, req.body || {});
+    if (!group) return res.status(404).json({ success: false, message: 'Group not found' });
+    res.json({ success: true, data: group });
+});
+
+app.delete('/api/shift-groups/:id', requireRole('hr'), (req, res) => {
+    if (!attendanceRules.removeGroup(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+    res.json({ success: true });
+});
+
+// Assign a shift to one employee (shiftId: null removes the direct assignment)
+app.put('/api/shift-assignments/:uid', requireRole('hr'), (req, res) => {
+    const { shiftId } = req.body || {};
+    if (shiftId && !attendanceRules.getShift(shiftId)) return res.status(400).json({ success: false, message: 'Unknown shift' });
+    attendanceRules.assignShift(req.params.uid, shiftId || null);
+    res.json({ success: true, uid: req.params.uid, shiftId: shiftId || null });
+});
+
+app.get('/api/attendance-rules/settings', (req, res) => {
+    res.json({ success: true, data: attendanceRules.getRules().settings });
+});
+
+app.put('/api/attendance-rules/settings', requireRole('hr'), (req, res) => {
+    const { defaultShiftId, dayBoundary, pairingMode, duplicateWindowSeconds } = req.body || {};
+    const updates = {};
+
+    if (defaultShiftId !== undefined) {
+        if (defaultShiftId && !attendanceRules.getShift(defaultShiftId)) {
+            return res.status(400).json({ success: false, message: 'Unknown shift' });
+        }
+        updates.defaultShiftId = defaultShiftId || null;
+    }
+
+    // Punches before this time of day count towards the previous work day
+    if (dayBoundary !== undefined) {
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(dayBoundary)) {
+            return res.status(400).json({ success: false, message: 'Day boundary must be HH:mm' });
+        }
+        updates.dayBoundary = dayBoundary;
+    }
+
+    // 'device' trusts the In/Out key pressed on the terminal, 'alternate' pairs punches by time order
+    if (pairingMode !== undefined) {
+        if (!['device', 'alternate'].includes(pairingMode)) {
+            return res.status(400).json({ success: false, message: "Pairing mode must be 'device' or 'alternate'" });
+        }
+        updates.pairingMode = pairingMode;
+    }
+
+    if (duplicateWindowSeconds !== undefined) {
+        const secs = Number(duplicateWindowSeconds);
+        if (!Number.isInteger(secs) || secs < 0) {
+            return res.status(400).json({ success: false, message: 'Duplicate window must be a whole number of seconds' });
+        }
+        updates.duplicateWindowSeconds = secs;
+    }
+
+    res.json({ success: true, data: attendanceRules.updateSettings(updates) });
+});
+
+// --- CALENDAR & LEAVE ---
+// Public holidays, weekly off days and approved leave. The summary uses them to
+// mark days without punches as Holiday, Weekend or Leave instead of Absent.
+
+function announceCalendarChange(reason, userId = null) {
+    events.publish('attendance-changed', { reason, uid: userId });
+}
+
+app.get('/api/calendar', (req, res) => {
+    const { from, to } = req.query;
+    res.json({
+        success: true,
+        data: {
+            weeklyOffDays: calendar.getCalendar().weeklyOffDays,
+            holidays: calendar.listHolidays({ from, to }),
+            leaves: calendar.listLeaves({ from, to }),
+            leaveTypes: calendar.LEAVE_TYPES
+        }
+    });
+});
+
+// Applies to employees without a shift; shifts carry their own working days
+app.put('/api/calendar/weekly-off', requireRole('hr'), (req, res) => {
+    const days = (req.body || {}).days;
+    const error = calendar.validateWeeklyOffDays(days);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const saved = calendar.setWeeklyOffDays(days);
+    announceCalendarChange('weekly-off');
+    res.json({ success: true, data: saved });
+});
+
+app.post('/api/calendar/holidays', requireRole('hr'), (req, res) => {
+    const body = req.body || {};
+    const error = calendar.validateHoliday(body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const holiday = calendar.addHoliday(body);
+    announceCalendarChange('holiday');
+    res.json({ success: true, data: holiday });
+});
+
+app.put('/api/calendar/holidays/:id', requireRole('hr'), (req, res) => {
+    const existing = calendar.listHolidays().find(h => h.id === req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Holiday not found' });
+    const error = calendar.validateHoliday({ ...existing, ...(req.body || {}) }, existing.id);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const holiday = calendar.updateHoliday(req.params.id, req.body || {});
+    announceCalendarChange('holiday');
+    res.json({ success: true, data: holiday });
+});
+
+app.delete('/api/calendar/holidays/:id', requireRole('hr'), (req, res) => {
+    if (!calendar.removeHoliday(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Holiday not found' });
+    }
+    announceCalendarChange('holiday');
+    res.json({ success: true });
+});
+
+function leaveAuthorError(body) {
+    if (!body.by || !String(body.by).trim()) return 'The name of the person approving the leave is required';
+    return null;
+}
+
+app.get('/api/leaves', (req, res) => {
+    const { userId, from, to } = req.query;
+    res.json({ success: true, data: calendar.listLeaves({ userId, from, to }) });
+});
+
+app.post('/api/leaves', requireRole('hr'), signedBy, (req, res) => {
+    const body = req.body || {};
+    const error = leaveAuthorError(body) || calendar.validateLeave(body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const leave = calendar.addLeave(body, String(body.by).trim());
+    console.log(`[CALENDAR] ${leave.createdBy} recorded ${leave.type} leave ${leave.id} for ${leave.userId} (${leave.from} to ${leave.to})`);
+    announceCalendarChange('leave', leave.userId);
+    res.json({ success: true, data: leave });
+});
+
+app.put('/api/leaves/:id', requireRole('hr'), signedBy, (req, res) => {
+    const body = req.body || {};
+    const existing = calendar.listLeaves().find(l => l.id === req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Leave not found' });
+    const error = leaveAuthorError(body) || calendar.validateLeave({ ...existing, ...body }, existing.id);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const leave = calendar.updateLeave(req.params.id, body, String(body.by).trim());
+    announceCalendarChange('leave', leave.userId);
+    res.json({ success: true, data: leave });
+});
+
+app.delete('/api/leaves/:id', requireRole('hr'), (req, res) => {
+    const existing = calendar.listLeaves().find(l => l.id === req.params.id);
+    if (!existing || !calendar.removeLeave(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Leave not found' });
+    }
+    console.log(`[CALENDAR] Leave ${existing.id} for ${existing.userId} removed`);
+    announceCalendarChange('leave', existing.userId);
+    res.json({ success: true });
+});
+
+// --- MANUAL CORRECTIONS ---
+
+// Every correction needs to say why and who, for the audit trail
+function correctionAuthorError(body) {
+    if (!body.reason || !String(body.reason).trim()) return 'A reason is required for every correction';
+    if (!body.by || !String(body.by).trim()) return 'The name of the person making the correction is required';
+    return null;
+}
+
+function punchFieldsError(body, partial = false) {
+    if (!partial || body.uid !== undefined) {
+        if (!body.uid || !String(body.uid).trim()) return 'Employee ID is required';
+    }
+    if (!partial || body.timestamp !== undefined) {
+        if (!body.timestamp || isNaN(timezone.parseOfficeTime(body.timestamp).getTime())) return 'A valid date and time is required';
+    }
+    if (!partial || body.status !== undefined) {
+        const stateError = punchStates.validateState(body.status);
+        if (stateError) return stateError;
+    }
+    return null;
+}
+
+// A time without an offset ("2024-05-06T09:00" from the form) is office time
+function withOfficeTime(body) {
+    return body.timestamp === undefined ? body : { ...body, timestamp: timezone.parseOfficeTime(body.timestamp) };
+}
+
+app.get('/api/corrections', requireRole('hr'), (req, res) => {
+    res.json({ success: true, data: corrections.listEntries(req.query.uid) });
+});
+
+app.get('/api/corrections/audit', requireRole('hr'), (req, res) => {
+    res.json({ success: true, data: corrections.getAudit(req.query.uid) });
+});
+
+// Add a manual punch
+// Open dashboards reload their reports when a correction changes the numbers
+function announceCorrection(entry) {
+    events.publish('attendance-changed', { reason: 'correction', correctionId: entry.id, uid: entry.uid });
+}
+
+app.post('/api/corrections', requireRole('hr'), signedBy, (req, res) => {
+    const body = req.body || {};
+    const error = correctionAuthorError(body) || punchFieldsError(body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const entry = corrections.addManualPunch(withOfficeTime(body));
+    console.log(`[CORRECTION] ${entry.createdBy} added manual punch ${entry.id} for ${entry.uid}`);
+    announceCorrection(entry);
+    res.json({ success: true, data: entry });
+});
+
+app.put('/api/corrections/:id', requireRole('hr'), signedBy, (req, res) => {
+    const body = req.body || {};
+    const error = correctionAuthorError(body) || punchFieldsError(body, true);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const entry = corrections.editManualPunch(req.params.id, withOfficeTime(body));
+    if (!entry) return res.status(404).json({ success: false, message: 'Active manual punch not found' });
+    announceCorrection(entry);
+    res.json({ success: true, data: entry });
+});
+
+// Void a manual punch (or undo the void of a device punch)
+app.post('/api/corrections/:id/void', requireRole('hr'), signedBy, (req, res) => {
+    const body = req.body || {};
+    const error = correctionAuthorError(body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const entry = corrections.voidEntry(req.params.id, body);
+    if (!entry) return res.status(404).json({ success: false, message: 'Active correction not found' });
+    announceCorrection(entry);
+    res.json({ success: true, data: entry });
+});
+
+// Hide a punch that came from the device; the punch itself stays in the archive
+app.post('/api/corrections/void-punch', requireRole('hr'), signedBy, (req, res) => {
+    const body = req.body || {};
+    const error = correctionAuthorError(body) || (!body.punchKey ? 'punchKey is required' : null);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const entry = corrections.voidDevicePunch(body);
+    if (!entry) return res.status(404).json({ success: false, message: 'Device punch not found' });
+    console.log(`[CORRECTION] ${entry.createdBy} voided device punch ${entry.targetKey}`);
+    announceCorrection(entry);
+    res.json({ success: true, data: entry });
+});
+
+// --- EMPLOYEE SELF-SERVICE ---
+// Employees sign in on me.html with their device user ID and PIN. They only ever see
+// their own attendance, and can ask HR to fix it; an approved request becomes a manual punch.
+
+app.post('/api/self/login', (req, res) => {
+    const { userId, pin } = req.body || {};
+    if (!userId || !pin) {
+        return res.status(400).json({ success: false, message: 'User ID and PIN are required' });
+    }
+    const employee = employees.getEmployee(String(userId).trim());
+    const result = employee && employee.active
+        ? accounts.signInEmployee(employee.userId, pin)
+        : { error: 'Wrong user ID or PIN' };
+    if (result.error) {
+        console.warn(`[SELF] Failed sign-in for user ${userId} from ${req.ip}`);
+        return res.status(result.locked ? 429 : 401).json({ success: false, message: result.error });
+    }
+    res.cookie(EMPLOYEE_SESSION_COOKIE, result.token, { httpOnly: true, sameSite: 'strict', maxAge: accounts.SESSION_TTL_MS });
+    res.json({ success: true, data: { token: result.token, expiresAt: result.expiresAt, userId: employee.userId } });
+});
+
+app.post('/api/self/logout', (req, res) => {
+    accounts.signOut(sessionToken(req, EMPLOYEE_SESSION_COOKIE));
+    res.clearCookie(EMPLOYEE_SESSION_COOKIE);
+    res.json({ success: true });
+});
+
+// Own punches, daily totals, late marks and month totals: ?month=YYYY-MM (this month by default)
+app.get('/api/self/attendance', async (req, res) => {
+    const month = req.query.month || timezone.dateKey(new Date()).substring(0, 7);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        return res.status(400).json({ success: false, message: 'month must be YYYY-MM' });
+    }
+    const userId = req.account.userId;
+    try {
+        const result = await getUnifiedData(attendanceFilter.buildFilter({ type: 'month', value: month, userId, sort: 'time', order: 'asc' }));
+        const days = result.summary[userId] || {};
+        const employee = employees.getEmployee(userId);
+        res.json({
+            success: true,
+            data: {
+                employee: {
+                    userId,
+                    name: result.userNames[userId] || employee.name || userId,
+                    employeeCode: employee.employeeCode,
+                    department: employee.department,
+                    designation: employee.designation
+                },
+                company: settings.getSettings().companyName,
+                timezone: result.timezone,
+                month,
+                totals: reports.monthTotals(days, reports.daysInMonth(month)),
+                days: Object.keys(days).sort().map(date => {
+                    const { logs, ...day } = days[date];
+                    return { date, ...day };
+                }),
+                punches: result.data.map(p => ({ timestamp: p.timestamp, localTime: p.localTime, status: p.status, source: p.source }))
+            }
+        });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+app.get('/api/self/requests', (req, res) => {
+    res.json({ success: true, data: correctionRequests.listRequests({ userId: req.account.userId }) });
+});
+
+app.post('/api/self/requests', (req, res) => {
+    const body = req.body || {};
+    const error = correctionRequests.validateRequest(req.account.userId, body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const request = correctionRequests.addRequest(req.account.userId, body);
+    console.log(`[SELF] User ${request.userId} asked for a correction (${request.id})`);
+    events.publish('correction-requested', { requestId: request.id, userId: request.userId });
+    res.json({ success: true, data: request });
+});
+
+// HR review: ?state=pending|approved|rejected
+app.get('/api/correction-requests', requireRole('hr'), (req, res) => {
+    const { state, userId } = req.query;
+    if (state && !correctionRequests.REQUEST_STATES.includes(state)) {
+        return res.status(400).json({ success: false, message: `state must be one of: ${correctionRequests.REQUEST_STATES.join(', ')}` });
+    }
+    res.json({ success: true, data: correctionRequests.listRequests({ state, userId }) });
+});
+
+app.post('/api/correction-requests/:id/approve', requireRole('hr'), signedBy, (req, res) => {
+    const request = correctionRequests.getRequest(req.params.id);
+    if (!request || request.state !== 'pending') {
+        return res.status(404).json({ success: false, message: 'Pending request not found' });
+    }
+    const { by, note } = req.body || {};
+    const entry = corrections.addManualPunch({
+        uid: request.userId,
+        timestamp: timezone.zonedDate(request.date, request.time),
+        status: request.status,
+        reason: `Employee request ${request.id}: ${request.reason}`,
+        by
+    });
+    const reviewed = correctionRequests.reviewRequest(request.id, { approve: true, by, note, correctionId: entry.id });
+    console.log(`[CORRECTION] ${by} approved ${request.id}, added manual punch ${entry.id} for ${entry.uid}`);
+    announceCorrection(entry);
+    res.json({ success: true, data: reviewed });
+});
+
+app.post('/api/correction-requests/:id/reject', requireRole('hr'), signedBy, (req, res) => {
+    const { by, note } = req.body || {};
+    const reviewed = correctionRequests.reviewRequest(req.params.id, { approve: false, by, note });
+    if (!reviewed) return res.status(404).json({ success: false, message: 'Pending request not found' });
+    console.log(`[CORRECTION] ${by} rejected ${reviewed.id}`);
+    res.json({ success: true, data: reviewed });
+});
+
+// Update device configuration (kept for older clients; edits the first registered device)
+app.post('/api/config', requireRole('admin'), (req, res) => {
+    const { ip, port } = req.body;
+    const device = deviceRegistry.listDevices()[0];
+    if (!device) return res.status(404).json({ success: false, message: 'No device registered' });
+
+    const error = deviceRegistry.validateDevice({ ip, port }, true);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const updates = {};
+    if (ip) updates.ip = ip;
+    if (port) updates.port = port;
+    deviceRegistry.updateDevice(device.id, updates);
+    res.json({ success: true, ip: device.ip, port: device.port });
+});
+
+// --- DEVICE REGISTRY ---
+
+app.get('/api/devices', (req, res) => {
+    res.json({ success: true, data: describeDevices() });
+});
+
+app.post('/api/devices', requireRole('admin'), (req, res) => {
+    const error = deviceRegistry.validateDevice(req.body || {});
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const device = deviceRegistry.addDevice(req.body);
+    console.log(`[DEVICES] Added ${device.name} (${device.ip}:${device.port})`);
+    res.json({ success: true, data: device });
+});
+
+app.put('/api/devices/:id', requireRole('admin'), (req, res) => {
+    if (!deviceRegistry.getDevice(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+    const error = deviceRegistry.validateDevice(req.body || {}, true);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const device = deviceRegistry.updateDevice(req.params.id, req.body);
+    if (req.body.timezone !== undefined) rezoneArchive(device);
+    res.json({ success: true, data: device });
+});
+
+// Removing a device stops pulling from it; its archived punches stay in the reports
+app.delete('/api/devices/:id', requireRole('admin'), (req, res) => {
+    if (!deviceRegistry.removeDevice(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+    delete deviceStates[req.params.id];
+    delete devicePulls[req.params.id];
+    res.json({ success: true });
+});
+
+// --- DEVICE ADMINISTRATION ---
+// Device info, clock and attendance log. Everything goes through executeZKAction like the pulls.
+const deviceClocks = {}; // deviceId -> last clock set { deviceTime, serverTime, driftSeconds, setAt, trigger }
+let clockSyncJob = null;
+
+// Firmware differs in what it reports; one missing answer shouldn't fail the whole read
+async function optionalRead(read) {
+    try { return await read(); } catch (e) { return null; }
+}
+
+// deviceTime as read by zkteco-js; the device's clock shows its zone's time
+function clockReading(deviceTime, zone) {
+    const serverTime = new Date();
+    const actual = deviceTime ? timezone.fromDeviceClock(new Date(deviceTime), zone) : null;
+    return {
+        deviceTime: actual ? timezone.isoWithOffset(actual, zone) : null,
+        serverTime: timezone.isoWithOffset(serverTime, zone),
+        timezone: zone,
+        driftSeconds: actual ? Math.round((actual - serverTime) / 1000) : null
+    };
+}
+
+async function readDeviceInfo(device) {
+    return executeZKAction(device, async (zk) => {
+        const info = await optionalRead(() => zk.getInfo());
+        return {
+            serialNumber: await optionalRead(() => zk.getSerialNumber()),
+            deviceName: await optionalRead(() => zk.getDeviceName()),
+            firmware: await optionalRead(() => zk.getFirmware()),
+            platform: await optionalRead(() => zk.getPlatform()),
+            userCount: info ? info.userCounts : null,
+            logCount: info ? info.logCounts : null,
+            logCapacity: info ? info.logCapacity : null,
+            clock: clockReading(await optionalRead(() => zk.getTime()), zoneFor(device.id))
+        };
+    });
+}
+
+// Sets the device clock to the server's time (in the device's zone) and remembers how far off it was
+async function setDeviceClock(device, trigger) {
+    const zone = zoneFor(device.id);
+    const result = await executeZKAction(device, async (zk) => {
+        const before = clockReading(await optionalRead(() => zk.getTime()), zone);
+        await zk.setTime(timezone.toDeviceClock(new Date(), zone));
+        return { ...before, setAt: new Date().toISOString() };
+    });
+    deviceClocks[device.id] = { ...result, trigger };
+    const drift = result.driftSeconds === null ? 'unknown' : `${result.driftSeconds}s`;
+    console.log(`[CLOCK] ${device.name}: clock set from the server (${trigger}, drift was ${drift})`);
+    return deviceClocks[device.id];
+}
+
+// Scheduled clock sync for every enabled device; one unreachable device doesn't stop the rest
+async function syncDeviceClocks() {
+    if (!settings.getSettings().clockSync.enabled) return;
+    for (const device of deviceRegistry.listDevices()) {
+        if (!device.enabled) continue;
+        try {
+            await setDeviceClock(device, 'schedule');
+        } catch (err) {
+            console.error(`[CLOCK] ${device.name}: could not set the clock (${err.message})`);
         }
+    }
+}
 
-        const externalPayload = [];
-        for (const uid in result.summary) {
-            for (const date in result.summary[uid]) {
-                const s = result.summary[uid][date];
-
-                // Format total_time_worked from "Xh Ym" to "HH:mm:ss"
-                const totalMs = s.totalMs || 0;
-                const h = Math.floor(totalMs / 3600000);
-                const m = Math.floor((totalMs % 3600000) / 60000);
-                const s_time = Math.floor((totalMs % 60000) / 1000);
-                const formattedTotalTime = `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s_time).padStart(2, '0')}`;
-
-                externalPayload.push({
-                    employee_code_id: uid,
-                    date: date,
-                    first_Check_In: s.firstIn,
-                    last_check_out: s.lastOut,
-                    total_time_worked: formattedTotalTime,
-                    logs: s.logs || []
-                });
+function scheduleClockSync() {
+    clockSyncJob = schedule.scheduleJob(officeSchedule(settings.getSettings().clockSync.schedule), syncDeviceClocks);
+}
+
+function backupFileName(device) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '');
+    return `device-log-${device.id}-${stamp}.json`;
+}
+
+// Empties a device's attendance log, but only once every record on it is confirmed in the
+// punches file. The device is disabled meanwhile so no punch can land between the check
+// and the clear. Returns { cleared, archived, unreadable, backupFile } or { error }.
+async function clearDeviceLog(device, { discardUnreadable = false } = {}) {
+    const outcome = await executeZKAction(device, async (zk) => {
+        await zk.disableDevice();
+        try {
+            const logsRaw = await zk.getAttendances();
+            const records = Array.isArray(logsRaw) ? logsRaw : (logsRaw && logsRaw.data ? logsRaw.data : []);
+            const info = await zk.getInfo();
+            if (info.logCounts !== records.length) {
+                return { error: `The device reports ${info.logCounts} records but ${records.length} were downloaded. Try again.` };
+            }
+
+            const punches = records.map(log => normalizeDeviceLog(log, device)).filter(Boolean);
+            const unreadable = records.length - punches.length;
+            if (unreadable && !discardUnreadable) {
+                return { error: `${unreadable} record(s) on the device can't be read, so they can't be archived. Clear anyway with discardUnreadable.` };
+            }
+
+            const fresh = punchStore.addPunches(punches);
+            const missing = punchStore.missingFromArchive(punches);
+            if (missing.length) {
+                return { error: `${missing.length} punch(es) could not be confirmed in the local archive. Nothing was cleared.` };
             }
+
+            // The raw download is kept as well, unreadable records included
+            const backupFile = backupFileName(device);
+            storage.writeJson(backupFile, records);
+
+            await zk.clearAttendanceLog();
+            punchStore.saveMeta(device.id, { logCount: 0, userCount: info.userCounts });
+            return { cleared: records.length, fresh, unreadable, backupFile };
+        } finally {
+            await optionalRead(() => zk.enableDevice());
         }
+    });
+
+    if (outcome.error) return outcome;
+    if (outcome.fresh.length) announcePunches(device, outcome.fresh);
+    requeueSkippedDays(outcome.fresh);
+    console.log(`[DEVICES] ${device.name}: cleared ${outcome.cleared} records from the device log (backup ${outcome.backupFile})`);
+    return { cleared: outcome.cleared, archived: outcome.fresh.length, unreadable: outcome.unreadable, backupFile: outcome.backupFile };
+}
+
+app.get('/api/devices/:id/info', requireRole('admin'), async (req, res) => {
+    const device = deviceRegistry.getDevice(req.params.id);
+    if (!device) return res.status(404).json({ success: false, message: 'Device not found' });
+    try {
+        const info = await readDeviceInfo(device);
+        res.json({ success: true, data: { ...info, lastClockSet: deviceClocks[device.id] || null } });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
 
-        if (externalPayload.length === 0) {
+app.get('/api/devices/:id/time', requireRole('admin'), async (req, res) => {
+    const device = deviceRegistry.getDevice(req.params.id);
+    if (!device) return res.status(404).json({ success: false, message: 'Device not found' });
+    try {
+        const deviceTime = await executeZKAction(device, zk => zk.getTime());
+        res.json({ success: true, data: clockReading(deviceTime, zoneFor(device.id)) });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+// Sets the device clock to the server's time
+app.post('/api/devices/:id/time', requireRole('admin'), async (req, res) => {
+    const device = deviceRegistry.getDevice(req.params.id);
+    if (!device) return res.status(404).json({ success: false, message: 'Device not found' });
+    try {
+        res.json({ success: true, data: await setDeviceClock(device, 'manual') });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+// Archives the device log locally, then clears it on the device. { "discardUnreadable": true }
+// allows clearing when some records can't be read (they are still kept in the backup file).
+app.post('/api/devices/:id/clear-log', requireRole('admin'), async (req, res) => {
+    const device = deviceRegistry.getDevice(req.params.id);
+    if (!device) return res.status(404).json({ success: false, message: 'Device not found' });
+    try {
+        const result = await clearDeviceLog(device, { discardUnreadable: !!(req.body && req.body.discardUnreadable) });
+        if (result.error) return res.status(409).json({ success: false, message: result.error });
+        res.json({ success: true, data: result });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+// External API Cloud Sync
+app.post('/api/sync', requireRole('admin'), async (req, res) => {
+    try {
+        const body = { ...(req.body || {}), page: undefined };
+        const error = attendanceFilter.validateFilter(body);
+        if (error) return res.status(400).json({ success: false, message: error });
+        const filter = attendanceFilter.buildFilter(body);
+        const result = await getUnifiedData(filter);
+
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
+
+        if (!hasSyncableData(result)) {
             return res.json({ success: false, message: "No data to sync for selected filter" });
         }
 
-        console.log(`[SYNC] Dispatching ${externalPayload.length} records to robust sync engine...`);
-        const syncResult = await postToCloud(externalPayload);
+        const targets = syncTargets.enabledTargets();
+        if (targets.length === 0) {
+            return res.status(400).json({ success: false, message: 'No sync targets are enabled' });
+        }
 
-        console.log(`[SYNC] External Response Status: ${syncResult.status}`);
-        console.log(`[SYNC] External Response Body: ${syncResult.body}`);
+        console.log(`[SYNC] Dispatching ${attendanceFilter.describeFilter(filter)} to ${targets.length} sync target(s)...`);
+        const results = await postToTargets(targets, result);
+        const first = results.find(r => !r.success) || results[0];
+
+        const failed = results.filter(r => !r.success);
+        if (failed.length) {
+            events.publish('sync-failed', {
+                filter: { type: filter.type, value: filter.value, from: filter.from, to: filter.to },
+                trigger: 'dashboard',
+                httpStatus: failed[0].httpStatus,
+                error: failed.map(r => `${r.name}: ${r.error}`).join('; ')
+            });
+        }
 
         let responseJson = {};
-        try { responseJson = JSON.parse(syncResult.body); } catch (e) { responseJson = { raw: syncResult.body }; }
+        try { responseJson = JSON.parse(first.response); } catch (e) { responseJson = { raw: first.response }; }
 
         res.json({
-            success: syncResult.status >= 200 && syncResult.status < 300,
-            recordsSynced: externalPayload.length,
-            externalStatus: syncResult.status,
-            externalResponse: responseJson
+            success: results.every(r => r.success),
+            recordsSynced: first.records,
+            externalStatus: first.httpStatus,
+            externalResponse: responseJson,
+            targets: results
         });
 
     } catch (err) {
@@ -674,25 +2396,183 @@ app.post('/api/sync', async (req, res) => {
     }
 });
 
-// The main GET endpoint
+// The main GET endpoint. Period: type=date|month|year&value=... or from=&to= (type=all for
+// everything); narrowed by userId=1,2 and department=; page/pageSize/sort/order for the logs
 app.get('/api/attendance', async (req, res) => {
+    const error = attendanceFilter.validateFilter(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
     try {
-        const { type, value, ip, port } = req.query;
-        // Optionally allow transient IP/Port for testing
-        const targetIp = ip || DEVICE_IP;
-        const targetPort = port ? parseInt(port) : DEVICE_PORT;
-
-        // We need to pass targetIp/targetPort to getUnifiedData if we want it truly dynamic per-request
-        // but for now let's just use the global ones as requested for "stickiness"
-        const result = await getUnifiedData(type, value);
+        const result = await getUnifiedData(attendanceFilter.buildFilter(req.query));
         res.json(result);
     } catch (err) {
         res.status(500).json({ success: false, message: err.message });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`\n✅ JTech Attendance API Ready!`);
-    console.log(`🚀 Unified End Point: http://localhost:${PORT}/api/attendance`);
-    console.log(`👥 User List End Point: http://localhost:${PORT}/api/users\n`);
+// Force an immediate device pull instead of waiting for the background loop
+app.post('/api/attendance/refresh', requireRole('admin'), async (req, res) => {
+    const pull = await pullFromDevice({ force: !!(req.body && req.body.force) });
+    res.status(pull.success ? 200 : 503).json(pull);
+});
+
+// --- PUNCH IMPORT ---
+// Attendance copied off a terminal by USB (attlog, user.dat) or typed into a CSV / XLSX,
+// for days the network pull missed. Body is the raw file; deviceId= is the terminal it
+// came from (optional with a single device), format=attlog|users|csv overrides detection
+// by filename= and content, and dryRun=1 only builds the preview.
+app.post('/api/punches/import', requireRole('hr'), express.raw({ type: EMPLOYEE_IMPORT_TYPES, limit: '20mb' }), (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ success: false, message: 'Upload an attlog, user.dat, CSV or XLSX file as the request body' });
+    }
+    const { format, filename = '' } = req.query;
+    if (format && !punchImport.IMPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, message: `Format must be one of: ${punchImport.IMPORT_FORMATS.join(', ')}` });
+    }
+    const devices = deviceRegistry.listDevices();
+    if (!req.query.deviceId && devices.length !== 1) {
+        return res.status(400).json({ success: false, message: 'Choose the device the file came from' });
+    }
+    const device = req.query.deviceId ? deviceRegistry.getDevice(req.query.deviceId) : devices[0];
+    if (!device) return res.status(404).json({ success: false, message: 'Device not found' });
+
+    const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+    let result;
+    try {
+        // The archive must be in the device's current zone before comparing against it
+        rezoneArchive(device);
+        result = punchImport.importFile(req.body, {
+            format,
+            filename,
+            device,
+            zone: zoneFor(device.id),
+            dryRun,
+            by: req.account.name || req.account.username
+        });
+    } catch (err) {
+        return res.status(400).json({ success: false, message: `Could not read the file: ${err.message}` });
+    }
+    console.log(`[IMPORT] ${filename || result.format}${dryRun ? ' (dry run)' : ''} for ${device.name}: ${result.added} new, ${result.duplicates} already known, ${result.errors.length} rejected`);
+
+    if (!dryRun && result.added) {
+        events.publish('attendance-changed', { reason: 'import', deviceId: device.id, dates: result.dates || [] });
+        resyncImportedDays(result.dates || []);
+    }
+    res.json({ success: true, dryRun, data: result });
+});
+
+app.get('/api/punches/imports', requireRole('hr'), (req, res) => {
+    res.json({ success: true, data: punchImport.listImports() });
+});
+
+// Days that already went out to the sync targets are sent again with the imported punches;
+// days not synced yet go out with them anyway
+function resyncImportedDays(dates) {
+    const today = timezone.dateKey(new Date());
+    const synced = dates.filter(date => date < today && syncOutbox.getEntry(date));
+    if (!synced.length) return;
+    synced.forEach(date => syncOutbox.enqueue(date, 'import', { force: true }));
+    console.log(`[IMPORT] Re-syncing ${synced.length} day(s): ${synced.join(', ')}`);
+    processOutbox();
+}
+
+// --- REPORTS ---
+
+// Sends a report table in the requested format as a download (JSON inline)
+async function sendReport(res, table, format, baseName) {
+    const output = await reports.render(table, format, { company: settings.getSettings().companyName });
+    res.setHeader('Content-Type', output.contentType);
+    if (format !== 'json') res.setHeader('Content-Disposition', `attachment; filename="${baseName}.${output.extension}"`);
+    res.send(output.body);
+}
+
+function reportFormatError(format) {
+    return reports.REPORT_FORMATS.includes(format) ? null : `format must be one of: ${reports.REPORT_FORMATS.join(', ')}`;
+}
+
+function fileNamePart(text) {
+    return String(text).replace(/[^A-Za-z0-9]+/g, '-');
+}
+
+// Payroll register: ?month=YYYY-MM&format=xlsx|csv|pdf|json (xlsx by default), optional &department= and &userId=
+app.get('/api/reports/monthly', requireRole('hr'), async (req, res) => {
+    const { month, department, userId } = req.query;
+    const format = req.query.format || 'xlsx';
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+        return res.status(400).json({ success: false, message: 'month must be YYYY-MM' });
+    }
+    const error = reportFormatError(format);
+    if (error) return res.status(400).json({ success: false, message: error });
+    try {
+        const data = await getUnifiedData(attendanceFilter.buildFilter({ type: 'month', value: month, department, userId }));
+        await sendReport(res, reports.monthlyRegister(data, month), format,
+            `attendance_register_${month}${department ? '_' + fileNamePart(department) : ''}`);
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+// Same filters and sorting as /api/attendance (never paged), plus format (xlsx by default)
+['logs', 'summary'].forEach(kind => {
+    app.get(`/api/export/${kind}`, requireRole('hr'), async (req, res) => {
+        const format = req.query.format || 'xlsx';
+        const error = reportFormatError(format) || attendanceFilter.validateFilter(req.query);
+        if (error) return res.status(400).json({ success: false, message: error });
+        try {
+            const filter = attendanceFilter.buildFilter({ ...req.query, page: undefined });
+            const data = await getUnifiedData(filter);
+            const table = kind === 'logs' ? reports.logsTable(data) : reports.summaryTable(data);
+            await sendReport(res, table, format, `attendance_${kind}_${fileNamePart(attendanceFilter.describeFilter(filter))}`);
+        } catch (err) {
+            res.status(500).json({ success: false, message: err.message });
+        }
+    });
 });
+
+// Webhook deliveries go out as events happen; failed ones are retried from start()
+events.subscribe(webhooks.dispatch);
+
+// --- STARTUP ---
+// The scheduler, background loops and listener only run when started with `node server.js`.
+// The tests in test/ require this file and start what they need themselves.
+function start(port = PORT) {
+    // OFFICE_TIMEZONE may have changed since the last run
+    rezoneCorrections();
+    scheduleDailySync();
+    scheduleClockSync();
+
+    // Archive the latest punches first, then push any days the cloud is still missing
+    pullFromDevice().then(() => {
+        queueCatchUpDays();
+        processOutbox();
+    });
+    setInterval(() => pullFromDevice(), DEVICE_PULL_INTERVAL_MS);
+    setInterval(processOutbox, OUTBOX_POLL_MS);
+    setInterval(webhooks.processDue, WEBHOOK_RETRY_POLL_MS);
+
+    // Comment lines keep proxies and the browser from closing an idle stream
+    setInterval(() => liveClients.forEach(res => res.write(': keep-alive\n\n')), LIVE_KEEPALIVE_MS);
+
+    return app.listen(port, () => {
+        console.log(`\n✅ ${settings.getSettings().companyName} Attendance API Ready!`);
+        console.log(`🚀 Unified End Point: http://localhost:${port}/api/attendance`);
+        console.log(`👥 User List End Point: http://localhost:${port}/api/users\n`);
+    });
+}
+
+if (require.main === module) start();
+
+module.exports = {
+    app,
+    start,
+    executeZKAction,
+    getDeviceState,
+    pullFromDevice,
+    readDeviceInfo,
+    setDeviceClock,
+    syncDeviceClocks,
+    clearDeviceLog,
+    calculateStats,
+    getUnifiedData,
+    performAutoDailySync,
+    processOutbox
+};
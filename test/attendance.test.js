@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, fixtureScenarios, daysAgo } = require('./helpers');
+
+const scenarios = fixtureScenarios();
+const server = loadServer(scenarios);
+const attendanceFilter = require('../lib/attendanceFilter');
+const punchStore = require('../lib/punchStore');
+const events = require('../lib/events');
+
+test('pulls the scripted punches and skips unreadable records', async () => {
+    const result = await server.pullFromDevice();
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.newPunches, 9);
+    assert.strictEqual(punchStore.getPunches().length, 9);
+    assert.strictEqual(punchStore.getUsers().length, 3);
+});
+
+test('announces punches that arrive after the first pull', async () => {
+    const published = [];
+    const unsubscribe = events.subscribe(event => published.push(event));
+    scenarios['*'].punches.push({ userId: '103', daysAgo: 0, at: '00:00:05', state: 0 });
+
+    const result = await server.pullFromDevice({ force: true });
+    unsubscribe();
+    assert.strictEqual(result.newPunches, 1);
+    const punch = published.find(e => e.type === 'punch');
+    assert.strictEqual(punch.data.uid, '103');
+    assert.strictEqual(punch.data.name, 'Sana Malik');
+});
+
+test('calculateStats pairs check-ins with check-outs and merges repeated taps', () => {
+    const { dailyStats } = server.calculateStats([
+        { uid: '101', timestamp: '2024-05-06T09:00:00', status: 0 },
+        { uid: '101', timestamp: '2024-05-06T09:00:30', status: 0 },
+        { uid: '101', timestamp: '2024-05-06T13:00:00', status: 1 },
+        { uid: '101', timestamp: '2024-05-06T14:00:00', status: 0 },
+        { uid: '101', timestamp: '2024-05-06T18:30:00', status: 1 }
+    ]);
+    const day = dailyStats['101']['2024-05-06'];
+    assert.strictEqual(day.firstIn, '09:00:00');
+    assert.strictEqual(day.lastOut, '18:30:00');
+    assert.strictEqual(day.duration, '8h 30m');
+    assert.deepStrictEqual(day.anomalies.map(a => a.code), ['duplicate_tap']);
+});
+
+test('calculateStats flags a past day without a check-out', () => {
+    const { dailyStats, activeStatus } = server.calculateStats([
+        { uid: '102', timestamp: '2024-05-06T09:41:00', status: 0 }
+    ]);
+    const day = dailyStats['102']['2024-05-06'];
+    assert.strictEqual(day.totalMs, 0);
+    assert.deepStrictEqual(day.anomalies.map(a => a.code), ['missing_check_out']);
+    assert.strictEqual(activeStatus['102'].state, 'Out');
+});
+
+test('calculateStats leaves breaks out of the worked time and counts OT sessions', () => {
+    const { dailyStats } = server.calculateStats([
+        { uid: '101', timestamp: '2024-05-06T09:00:00', status: 0 },
+        { uid: '101', timestamp: '2024-05-06T13:00:00', status: 2 },
+        { uid: '101', timestamp: '2024-05-06T13:45:00', status: 3 },
+        { uid: '101', timestamp: '2024-05-06T18:00:00', status: 1 },
+        { uid: '101', timestamp: '2024-05-06T19:00:00', status: 4 },
+        { uid: '101', timestamp: '2024-05-06T21:30:00', status: 5 }
+    ]);
+    const day = dailyStats['101']['2024-05-06'];
+    assert.strictEqual(day.duration, '8h 15m');
+    assert.strictEqual(day.breakMinutes, 45);
+    assert.strictEqual(day.overtimeSessionMinutes, 150);
+    assert.ok(day.overtimeMinutes >= 150);
+    assert.deepStrictEqual(day.logs.map(l => l.type), ['check_in', 'break_out', 'break_in', 'check_out', 'overtime_in', 'overtime_out']);
+    assert.deepStrictEqual(day.anomalies, []);
+});
+
+test('calculateStats flags an unfinished break and OT session', () => {
+    const { dailyStats, activeStatus } = server.calculateStats([
+        { uid: '103', timestamp: '2024-05-06T09:00:00', status: 0 },
+        { uid: '103', timestamp: '2024-05-06T13:00:00', status: 2 },
+        { uid: '104', timestamp: '2024-05-06T19:00:00', status: 4 }
+    ]);
+    assert.strictEqual(dailyStats['103']['2024-05-06'].duration, '4h 0m');
+    assert.deepStrictEqual(dailyStats['103']['2024-05-06'].anomalies.map(a => a.code), ['missing_break_in']);
+    assert.deepStrictEqual(dailyStats['104']['2024-05-06'].anomalies.map(a => a.code), ['missing_overtime_out']);
+    assert.strictEqual(activeStatus['103'].state, 'Out');
+    assert.strictEqual(activeStatus['104'].state, 'Out');
+});
+
+test('getUnifiedData summarises one day for everyone on the device', async () => {
+    const date = daysAgo(1);
+    const data = await server.getUnifiedData(attendanceFilter.buildFilter({ type: 'date', value: date }));
+
+    assert.strictEqual(data.count, 4);
+    assert.deepStrictEqual(Object.keys(data.summary).sort(), ['101', '102', '103']);
+    assert.strictEqual(data.userNames['101'], 'Ayesha Khan');
+
+    const ayesha = data.summary['101'][date];
+    assert.strictEqual(ayesha.firstIn, '09:03:00');
+    assert.strictEqual(ayesha.lastOut, '18:10:00');
+    assert.strictEqual(ayesha.duration, '9h 7m');
+    assert.deepStrictEqual(ayesha.anomalies.map(a => a.code), ['duplicate_tap']);
+
+    // Bilal punched on the days around it but not on this one
+    const bilal = data.summary['102'][date];
+    assert.strictEqual(bilal.firstIn, '-');
+    assert.ok(['Absent', 'Weekend'].includes(bilal.dayStatus));
+
+    assert.deepStrictEqual(data.summary['103'][date].anomalies.map(a => a.code), ['missing_check_out']);
+});
+
+test('getUnifiedData filters by employee', async () => {
+    const filter = attendanceFilter.buildFilter({ from: daysAgo(2), to: daysAgo(0), userId: '102' });
+    const data = await server.getUnifiedData(filter);
+
+    assert.deepStrictEqual([...new Set(data.data.map(log => log.uid))], ['102']);
+    assert.deepStrictEqual(Object.keys(data.summary), ['102']);
+    assert.strictEqual(data.summary['102'][daysAgo(2)].duration, '8h 24m');
+});
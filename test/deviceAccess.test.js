@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./helpers');
+
+// Each test uses its own device id, so one test's cool down doesn't leak into the next
+const scenarios = {};
+const server = loadServer(scenarios);
+const events = require('../lib/events');
+
+function simulatedDevice(id, scenario) {
+    scenarios[id] = scenario;
+    return { id, name: id, ip: '127.0.0.1', port: 4370 };
+}
+
+test('hands a connected device to the action', async () => {
+    const device = simulatedDevice('front', { serialNumber: 'SIM-FRONT' });
+    const serial = await server.executeZKAction(device, zk => zk.getSerialNumber());
+    assert.strictEqual(serial, 'SIM-FRONT');
+    assert.strictEqual(server.getDeviceState('front').isDeviceBusy, false);
+});
+
+test('a connection timeout starts the cool down', async () => {
+    const device = simulatedDevice('timeout', { faults: { createSocket: 'timeout' } });
+    await assert.rejects(server.executeZKAction(device, zk => zk.getInfo()), /createSocket/);
+
+    const state = server.getDeviceState('timeout');
+    assert.strictEqual(state.isDeviceBusy, false);
+    assert.ok(state.cooldownUntil > Date.now());
+
+    // Even once the device answers again, it is left alone until the cool down ends
+    delete scenarios.timeout.faults.createSocket;
+    await assert.rejects(server.executeZKAction(device, zk => zk.getInfo()), /Device recovery in progress/);
+});
+
+test('a failing command starts the cool down too', async () => {
+    const device = simulatedDevice('broken', { faults: { getAttendances: 'error' } });
+    await assert.rejects(server.executeZKAction(device, zk => zk.getAttendances()), /getAttendances/);
+    assert.ok(server.getDeviceState('broken').cooldownUntil > Date.now());
+});
+
+test('refuses a second action while the device is busy', async () => {
+    const device = simulatedDevice('slow', { delayMs: 200 });
+    const first = server.executeZKAction(device, zk => zk.getInfo());
+    await assert.rejects(server.executeZKAction(device, zk => zk.getInfo()), /Device is busy/);
+    assert.deepStrictEqual(await first, { userCounts: 0, logCounts: 0, logCapacity: 100000 });
+});
+
+test('resets a busy state stuck for more than 40 seconds', async () => {
+    const device = simulatedDevice('stuck', {});
+    const state = server.getDeviceState('stuck');
+    state.isDeviceBusy = true;
+    state.lastBusyReset = Date.now() - 41000;
+
+    await server.executeZKAction(device, zk => zk.getInfo());
+    assert.strictEqual(state.isDeviceBusy, false);
+});
+
+test('an unreachable device is reported offline once and the pull carries on', async () => {
+    scenarios.main = { faults: { createSocket: 'timeout' } };
+    const published = [];
+    const unsubscribe = events.subscribe(event => published.push(event));
+
+    const first = await server.pullFromDevice();
+    const second = await server.pullFromDevice();
+    unsubscribe();
+
+    assert.strictEqual(first.success, false);
+    assert.strictEqual(second.success, false);
+    assert.match(second.devices[0].error, /Device recovery in progress/);
+    assert.strictEqual(published.filter(e => e.type === 'device-offline').length, 1);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { loadServer, fixtureScenarios, listen, signIn, signInAsAdmin } = require('./helpers');
+
+const scenarios = fixtureScenarios();
+const server = loadServer(scenarios);
+const punchStore = require('../lib/punchStore');
+const storage = require('../lib/storage');
+
+let api;
+let app;
+
+test.before(async () => {
+    app = await listen(server.app);
+    api = await signInAsAdmin(app.baseUrl);
+});
+
+test.after(() => app.close());
+
+test('reads device info and clock', async () => {
+    const { body } = await api('/api/devices/main/info');
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.data.serialNumber, 'SIM0001');
+    assert.strictEqual(body.data.userCount, 3);
+    assert.strictEqual(body.data.logCount, 10);
+    assert.strictEqual(body.data.logCapacity, 100000);
+    assert.ok(Math.abs(body.data.clock.driftSeconds + 95) <= 1);
+
+    const missing = await api('/api/devices/nowhere/info');
+    assert.strictEqual(missing.status, 404);
+});
+
+test('sets the device clock from the server', async () => {
+    const { body } = await api('/api/devices/main/time', { method: 'POST' });
+    assert.strictEqual(body.success, true);
+    assert.ok(Math.abs(body.data.driftSeconds + 95) <= 1);
+    assert.strictEqual(body.data.trigger, 'manual');
+
+    const time = await api('/api/devices/main/time');
+    assert.ok(Math.abs(time.body.data.driftSeconds) <= 1);
+});
+
+test('the scheduled clock sync only runs when enabled', async () => {
+    scenarios['*'].clockOffsetSeconds = 300;
+    await server.syncDeviceClocks();
+    assert.strictEqual(scenarios['*'].clockOffsetSeconds, 300);
+
+    await api('/api/settings', { method: 'PUT', body: { clockSync: { enabled: true } } });
+    await server.syncDeviceClocks();
+    assert.ok(Math.abs(scenarios['*'].clockOffsetSeconds) <= 1);
+});
+
+test('a clock sync schedule must be a cron expression', async () => {
+    // A date would have been taken by node-schedule as a one-off job
+    for (const schedule of ['every night', '2030-01-01T03:00:00']) {
+        const { status, body } = await api('/api/settings', { method: 'PUT', body: { clockSync: { schedule } } });
+        assert.strictEqual(status, 400);
+        assert.match(body.message, /cron expression/);
+    }
+    const { body } = await api('/api/settings', { method: 'PUT', body: { clockSync: { schedule: '0 30 2 * * *' } } });
+    assert.strictEqual(body.success, true);
+});
+
+test('refuses to clear a log with unreadable records', async () => {
+    const { status, body } = await api('/api/devices/main/clear-log', { method: 'POST' });
+    assert.strictEqual(status, 409);
+    assert.match(body.message, /1 record\(s\) on the device can't be read/);
+    assert.strictEqual(scenarios['*'].punches.length, 9);
+    assert.strictEqual(scenarios['*'].disabled, false);
+});
+
+test('archives every punch before clearing the log', async () => {
+    const { body } = await api('/api/devices/main/clear-log', { method: 'POST', body: { discardUnreadable: true } });
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.data.cleared, 10);
+    assert.strictEqual(body.data.archived, 9);
+    assert.strictEqual(body.data.unreadable, 1);
+
+    assert.strictEqual(scenarios['*'].punches.length, 0);
+    assert.strictEqual(scenarios['*'].disabled, false);
+    assert.strictEqual(punchStore.getPunches().length, 9);
+    assert.strictEqual(JSON.parse(fs.readFileSync(storage.dataPath(body.data.backupFile), 'utf8')).length, 10);
+
+    // The next pull finds an empty log and keeps the archive
+    const pull = await server.pullFromDevice();
+    assert.strictEqual(pull.success, true);
+    assert.strictEqual(punchStore.getPunches().length, 9);
+});
+
+test('does not clear when the archive cannot be confirmed', async (t) => {
+    scenarios['*'].punches.push({ userId: '101', daysAgo: 0, at: '00:00:01', state: 0 });
+    t.mock.method(punchStore, 'missingFromArchive', list => list);
+
+    const { status, body } = await api('/api/devices/main/clear-log', { method: 'POST' });
+    assert.strictEqual(status, 409);
+    assert.match(body.message, /Nothing was cleared/);
+    assert.strictEqual(scenarios['*'].punches.length, 1);
+});
+
+test('a new device never takes the id of a removed one', async () => {
+    const device = { name: 'Side Gate', ip: '127.0.0.1', port: 4370, enabled: false };
+    const first = await api('/api/devices', { method: 'POST', body: device });
+    assert.strictEqual(first.body.data.id, 'side-gate');
+    await api('/api/devices/side-gate', { method: 'DELETE' });
+    const second = await api('/api/devices', { method: 'POST', body: device });
+    assert.strictEqual(second.body.data.id, 'side-gate-2');
+
+    // Removed before removed ids were recorded: only its archived punches remain
+    punchStore.addPunches([{ uid: '101', timestamp: '2024-01-02T09:00:00.000Z', deviceId: 'old-door', deviceSN: 'SIM0002' }]);
+    const third = await api('/api/devices', { method: 'POST', body: { ...device, name: 'Old Door' } });
+    assert.strictEqual(third.body.data.id, 'old-door-2');
+});
+
+test('device administration needs an admin', async () => {
+    const res = await fetch(`${app.baseUrl}/api/devices/main/clear-log`, { method: 'POST' });
+    assert.strictEqual(res.status, 401);
+
+    await api('/api/accounts', { method: 'POST', body: { username: 'watcher', password: 'watcher-password', role: 'viewer' } });
+    const viewer = await signIn(app.baseUrl, 'watcher', 'watcher-password');
+    assert.strictEqual((await viewer('/api/attendance/refresh', { method: 'POST' })).status, 403);
+    assert.strictEqual((await viewer('/api/attendance?type=all')).status, 200);
+});
+
+test('serves the dashboard pages but never the data folder or server code', async () => {
+    assert.strictEqual((await fetch(`${app.baseUrl}/index.html`)).status, 200);
+    assert.strictEqual((await fetch(`${app.baseUrl}/me.html`)).status, 200);
+    for (const file of ['/data/accounts.json', '/server.js', '/package.json', '/lib/storage.js']) {
+        assert.strictEqual((await fetch(`${app.baseUrl}${file}`)).status, 404, file);
+    }
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// node --test runs every file in its own process, so each file gets a fresh
+// data folder, fresh simulated devices and its own copy of the server.
+const ADMIN_PASSWORD = 'test-admin-password';
+
+function loadServer(scenarios) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jtech-test-'));
+    process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+    process.env.DATA_DIR = dataDir;
+    process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+    require('../lib/zkSimulator').useScenarios(scenarios);
+    return require('../server');
+}
+
+// The shared scenario in test/fixtures/devices.json; a fresh copy so tests can change it
+function fixtureScenarios() {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'devices.json'), 'utf8'));
+}
+
+function localDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function daysAgo(n) {
+    const date = new Date();
+    date.setDate(date.getDate() - n);
+    return localDateKey(date);
+}
+
+// Listens on a free port; resolves to { baseUrl, close }
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Signs in; resolves to a fetch wrapper that sends the session token
+async function signIn(baseUrl, username, password) {
+    const res = await fetch(`${baseUrl}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    const { data } = await res.json();
+    // A Buffer body is sent as it is, like a file upload
+    return async (url, { method = 'GET', body } = {}) => {
+        const raw = Buffer.isBuffer(body);
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: { Authorization: `Bearer ${data.token}`, 'Content-Type': raw ? 'application/octet-stream' : 'application/json' },
+            body: body === undefined || raw ? body : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+}
+
+// The first admin, created on startup from ADMIN_PASSWORD
+function signInAsAdmin(baseUrl) {
+    return signIn(baseUrl, 'admin', ADMIN_PASSWORD);
+}
+
+// Resolves once check() is truthy, polling for work the server does in the background
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error(`Still waiting after ${timeoutMs} ms`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+module.exports = {
+    loadServer,
+    fixtureScenarios,
+    localDateKey,
+    daysAgo,
+    listen,
+    signIn,
+    signInAsAdmin,
+    waitFor
+};
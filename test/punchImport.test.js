@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const XLSX = require('xlsx');
+const { loadServer, listen, signInAsAdmin } = require('./helpers');
+
+const scenarios = {
+    '*': {
+        serialNumber: 'SIM-USB',
+        users: [{ uid: 1, userId: '301', name: 'Hina Raza' }],
+        punches: [
+            { userId: '301', time: '2024-05-06T09:00:00', state: 0 },
+            { userId: '301', time: '2024-05-06T17:30:00', state: 1 }
+        ],
+        clockOffsetSeconds: 0
+    }
+};
+const server = loadServer(scenarios);
+const punchStore = require('../lib/punchStore');
+const syncOutbox = require('../lib/syncOutbox');
+
+let api;
+let app;
+
+test.before(async () => {
+    app = await listen(server.app);
+    api = await signInAsAdmin(app.baseUrl);
+    await api('/api/settings', { method: 'PUT', body: { timezone: 'Asia/Karachi', autoSync: { enabled: false } } });
+    await server.pullFromDevice();
+});
+
+test.after(() => app.close());
+
+// Lines as a terminal writes them to 1_attlog.dat
+const ATTLOG = [
+    '       301\t2024-05-06 09:00:00\t1\t0\t1\t0',
+    '       301\t2024-05-06 17:30:00\t1\t1\t1\t0',
+    '       301\t2024-05-07 09:05:00\t1\t0\t1\t0',
+    '       301\t2024-05-07 09:05:00\t1\t0\t1\t0',
+    'garbled',
+    '       302\t2024-05-07 13:00:00\t1\t2\t1\t0'
+].join('\r\n');
+
+function userRecord({ uid, name, userId, cardno = 0 }) {
+    const record = Buffer.alloc(72);
+    record.writeUInt16LE(uid, 0);
+    record.write(name, 11, 'ascii');
+    record.writeUInt32LE(cardno, 35);
+    record.write(userId, 48, 'ascii');
+    return record;
+}
+
+test('previews an attlog without saving anything', async () => {
+    const { body } = await api('/api/punches/import?filename=1_attlog.dat&dryRun=1', { method: 'POST', body: Buffer.from(ATTLOG) });
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.data.format, 'attlog');
+    assert.strictEqual(body.data.total, 6);
+    assert.strictEqual(body.data.added, 2);
+    assert.strictEqual(body.data.duplicates, 3);
+    assert.deepStrictEqual(body.data.errors.map(e => e.line), [5]);
+    assert.deepStrictEqual(body.data.preview.map(p => p.duplicate), [true, true, false, true, false]);
+    assert.strictEqual(body.data.preview[4].localTime, '2024-05-07T13:00:00+05:00');
+    assert.strictEqual(body.data.preview[4].type, 'break_out');
+    assert.strictEqual(punchStore.getPunches().length, 2);
+});
+
+test('imports an attlog, re-syncs days already sent, and a later pull adds nothing twice', async () => {
+    syncOutbox.enqueue('2024-05-07', 'auto');
+    syncOutbox.markSkipped('2024-05-07', 'No records');
+
+    const { body } = await api('/api/punches/import', { method: 'POST', body: Buffer.from(ATTLOG) });
+    assert.strictEqual(body.data.added, 2);
+    assert.deepStrictEqual(body.data.dates, ['2024-05-07']);
+    assert.strictEqual(punchStore.getPunches().length, 4);
+    assert.strictEqual(syncOutbox.getEntry('2024-05-07').status, 'pending');
+    assert.strictEqual(syncOutbox.getEntry('2024-05-07').trigger, 'import');
+
+    const again = await api('/api/punches/import', { method: 'POST', body: Buffer.from(ATTLOG) });
+    assert.strictEqual(again.body.data.added, 0);
+
+    scenarios['*'].punches.push({ userId: '301', time: '2024-05-07T09:05:00', state: 0 });
+    const pull = await server.pullFromDevice({ force: true });
+    assert.strictEqual(pull.newPunches, 0);
+
+    const day = await api('/api/attendance?type=date&value=2024-05-07');
+    assert.strictEqual(day.body.summary['301']['2024-05-07'].firstIn, '09:05:00');
+
+    const history = await api('/api/punches/imports');
+    assert.deepStrictEqual(history.body.data.map(i => i.added), [0, 2]);
+});
+
+test('imports the user list from user.dat', async () => {
+    const file = Buffer.concat([
+        userRecord({ uid: 1, name: 'Hina Raza', userId: '301' }),
+        Buffer.alloc(72),
+        userRecord({ uid: 2, name: 'Omar Farooq', userId: '302', cardno: 4455 })
+    ]);
+    const { body } = await api('/api/punches/import?filename=USER.DAT', { method: 'POST', body: file });
+    assert.strictEqual(body.data.format, 'users');
+    assert.strictEqual(body.data.total, 2);
+    assert.strictEqual(body.data.added, 1);
+    const omar = punchStore.getUsers().find(u => u.userId === '302');
+    assert.strictEqual(omar.name, 'Omar Farooq');
+    assert.strictEqual(omar.cardno, 4455);
+});
+
+test('imports a CSV with separate date and time columns', async () => {
+    const csv = [
+        'User ID,Date,Time,State',
+        '301,06/05/2024,17:30,Check Out',
+        '303,2024-05-08,5:45 PM,Out',
+        '303,2024-05-08,25:00,In',
+        '303,2024-05-08,09:00,Lunch',
+        '303,2099-01-01,09:00,In'
+    ].join('\n');
+    const { body } = await api('/api/punches/import?filename=punches.csv', { method: 'POST', body: Buffer.from(csv) });
+    assert.strictEqual(body.data.format, 'csv');
+    assert.strictEqual(body.data.added, 1);
+    assert.strictEqual(body.data.duplicates, 1);
+    assert.deepStrictEqual(body.data.errors.map(e => e.line), [4, 5, 6]);
+    assert.match(body.data.errors[1].message, /Unknown punch state "Lunch"/);
+    assert.strictEqual(body.data.preview[1].localTime, '2024-05-08T17:45:00+05:00');
+    assert.strictEqual(body.data.preview[1].status, 1);
+});
+
+test('reads an XLSX upload as a spreadsheet even when its size fits user.dat records', async () => {
+    // Pad a note until the zip happens to be a multiple of 72 bytes
+    let file;
+    for (let i = 0; !file || file.length % 72 !== 0; i++) {
+        const sheet = XLSX.utils.aoa_to_sheet([['User ID', 'Time', 'Note'], ['304', '2024-05-08 09:00', 'x'.repeat(i)]]);
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, 'Punches');
+        file = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    }
+    const users = punchStore.getUsers().length;
+
+    const { body } = await api('/api/punches/import', { method: 'POST', body: file });
+    assert.strictEqual(body.data.format, 'csv');
+    assert.strictEqual(body.data.added, 1);
+    assert.strictEqual(punchStore.getUsers().length, users);
+});
+
+test('rejects an import without a known device or readable format', async () => {
+    const unknown = await api('/api/punches/import?deviceId=nowhere', { method: 'POST', body: Buffer.from(ATTLOG) });
+    assert.strictEqual(unknown.status, 404);
+
+    const badFormat = await api('/api/punches/import?format=pdf', { method: 'POST', body: Buffer.from(ATTLOG) });
+    assert.strictEqual(badFormat.status, 400);
+
+    const shortUsers = await api('/api/punches/import?format=users', { method: 'POST', body: Buffer.alloc(50) });
+    assert.strictEqual(shortUsers.status, 400);
+    assert.match(shortUsers.body.message, /72-byte records/);
+});
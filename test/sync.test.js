@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { loadServer, fixtureScenarios, daysAgo, listen, signIn, signInAsAdmin } = require('./helpers');
+
+const scenarios = fixtureScenarios();
+const server = loadServer(scenarios);
+const syncOutbox = require('../lib/syncOutbox');
+
+// Stands in for the HR system the daily summary is pushed to
+const received = [];
+let receiverStatus = 200;
+const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+        received.push({ headers: req.headers, records: JSON.parse(body) });
+        res.writeHead(receiverStatus, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ imported: receiverStatus === 200 }));
+    });
+});
+
+let api;
+let app;
+let targetId;
+
+test.before(async () => {
+    await server.pullFromDevice();
+    app = await listen(server.app);
+    api = await signInAsAdmin(app.baseUrl);
+
+    // Only push to the stand-in, not to the target seeded on first start
+    const seeded = await api('/api/sync-targets');
+    for (const target of seeded.body.data) await api(`/api/sync-targets/${target.id}`, { method: 'DELETE' });
+
+    const hr = await listen(receiver);
+    const target = await api('/api/sync-targets', {
+        method: 'POST',
+        body: { name: 'HR', url: `${hr.baseUrl}/api/import-attendance`, authType: 'bearer', authToken: 'secret' }
+    });
+    assert.strictEqual(target.status, 200);
+    targetId = target.body.data.id;
+});
+
+test.after(async () => {
+    await app.close();
+    receiver.close();
+});
+
+test('sync-date pushes one day to the target', async () => {
+    const date = daysAgo(1);
+    const { body } = await api('/api/auto-sync/sync-date', { method: 'POST', body: { date } });
+
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.recordsSynced, 3);
+    assert.deepStrictEqual(body.externalResponse, { imported: true });
+
+    const request = received[received.length - 1];
+    assert.strictEqual(request.headers.authorization, 'Bearer secret');
+    assert.ok(request.headers['idempotency-key']);
+    const ayesha = request.records.find(r => r.name === 'Ayesha Khan');
+    assert.strictEqual(ayesha.date, date);
+    assert.strictEqual(ayesha.first_Check_In, '09:03:00');
+    assert.strictEqual(ayesha.last_check_out, '18:10:00');
+});
+
+test('sync-date keeps a failed day for retry with the same idempotency key', async () => {
+    const date = daysAgo(2);
+    receiverStatus = 500;
+    const failed = await api('/api/auto-sync/sync-date', { method: 'POST', body: { date } });
+    receiverStatus = 200;
+
+    assert.strictEqual(failed.body.success, false);
+    assert.strictEqual(failed.body.externalStatus, 500);
+    assert.ok(failed.body.nextRetryAt);
+
+    const history = await api(`/api/auto-sync/history?from=${date}&to=${date}`);
+    assert.strictEqual(history.body.data[0].status, 'retrying');
+
+    const retried = await api('/api/auto-sync/sync-date', { method: 'POST', body: { date } });
+    assert.strictEqual(retried.body.success, true);
+    assert.strictEqual(retried.body.attempts, 2);
+    const [first, second] = received.slice(-2);
+    assert.strictEqual(first.headers['idempotency-key'], second.headers['idempotency-key']);
+});
+
+test('sync-date skips a day nobody worked', async () => {
+    const sent = received.length;
+    const { body } = await api('/api/auto-sync/sync-date', { method: 'POST', body: { date: daysAgo(3) } });
+    assert.strictEqual(body.success, false);
+    assert.match(body.message, /No records found/);
+    assert.strictEqual(received.length, sent);
+});
+
+test('a skipped day is sent once its punches arrive', async () => {
+    const date = daysAgo(3);
+    assert.strictEqual(syncOutbox.getEntry(date).status, 'skipped');
+
+    const sent = received.length;
+    scenarios['*'].punches.push({ userId: '101', daysAgo: 3, at: '09:00:00', state: 0 });
+    await server.pullFromDevice({ force: true });
+    // The pull started the outbox run; this waits for it to finish
+    await server.processOutbox();
+
+    assert.strictEqual(syncOutbox.getEntry(date).status, 'success');
+    assert.strictEqual(syncOutbox.getEntry(date).trigger, 'late-punches');
+    assert.strictEqual(received.length, sent + 1);
+});
+
+test('sync-date rejects a malformed date', async () => {
+    const { status, body } = await api('/api/auto-sync/sync-date', { method: 'POST', body: { date: '19/10/2026' } });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.success, false);
+});
+
+test('run-now syncs yesterday from the local archive while the device is down', async () => {
+    scenarios['*'].faults = { createSocket: 'timeout' };
+    const { body } = await api('/api/auto-sync/run-now', { method: 'POST' });
+
+    assert.strictEqual(body.success, true);
+    assert.deepStrictEqual(body.result, { success: true, skipped: false, recordsSynced: 3 });
+
+    const status = await api('/api/auto-sync/status');
+    assert.strictEqual(status.body.lastResult.targetDate, daysAgo(1));
+    assert.strictEqual(status.body.lastResult.status, 'success');
+});
+
+test('a day with no enabled targets backs off like any other failure', async () => {
+    await api(`/api/sync-targets/${targetId}`, { method: 'PUT', body: { enabled: false } });
+    const date = daysAgo(4);
+    await api('/api/auto-sync/sync-date', { method: 'POST', body: { date } });
+    const first = syncOutbox.getEntry(date);
+    assert.strictEqual(first.attempts, 1);
+    const firstDelay = new Date(first.nextAttemptAt) - new Date(first.lastAttemptAt);
+
+    await api('/api/auto-sync/sync-date', { method: 'POST', body: { date } });
+    const second = syncOutbox.getEntry(date);
+    assert.strictEqual(second.attempts, 2);
+    assert.ok(new Date(second.nextAttemptAt) - new Date(second.lastAttemptAt) > firstDelay);
+    await api(`/api/sync-targets/${targetId}`, { method: 'PUT', body: { enabled: true } });
+});
+
+test('sync endpoints need an admin', async () => {
+    const res = await fetch(`${app.baseUrl}/api/auto-sync/run-now`, { method: 'POST' });
+    assert.strictEqual(res.status, 401);
+});
+
+test('the sync history is not shown to viewers', async () => {
+    await api('/api/accounts', { method: 'POST', body: { username: 'watcher', password: 'watcher-password', role: 'viewer' } });
+    const viewer = await signIn(app.baseUrl, 'watcher', 'watcher-password');
+    assert.strictEqual((await viewer('/api/auto-sync/history?includePayload=1')).status, 403);
+    assert.strictEqual((await api('/api/auto-sync/history?includePayload=1')).status, 200);
+});
+
+test('raw punches go out oldest first whatever order the filter asks for', async () => {
+    const raw = await api('/api/sync-targets', {
+        method: 'POST',
+        body: { name: 'Raw', url: 'http://127.0.0.1:9/raw', format: { type: 'raw-punches' }, enabled: false }
+    });
+    for (const order of ['asc', 'desc']) {
+        const { body } = await api(`/api/sync-targets/${raw.body.data.id}/preview?type=all&order=${order}`);
+        const times = JSON.parse(body.data.body).map(r => r.timestamp);
+        assert.ok(times.length > 1);
+        assert.deepStrictEqual(times, times.slice().sort());
+    }
+    await api(`/api/sync-targets/${raw.body.data.id}`, { method: 'DELETE' });
+});
+
+test('a target header name must be a real HTTP header name', async () => {
+    for (const authHeader of ['X Key', '<img src=x onerror=alert(1)>']) {
+        const { status } = await api('/api/sync-targets', {
+            method: 'POST',
+            body: { name: 'Bad header', url: 'http://127.0.0.1:9/x', authType: 'header', authHeader, authToken: 't', enabled: false }
+        });
+        assert.strictEqual(status, 400);
+    }
+    const update = await api(`/api/sync-targets/${targetId}`, { method: 'PUT', body: { authHeader: 'X Key' } });
+    assert.strictEqual(update.status, 400);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, listen, signInAsAdmin } = require('./helpers');
+
+// A zone no test machine runs in, so every conversion below really moves something
+const OFFICE_ZONE = 'Pacific/Kiritimati'; // UTC+14, no DST
+
+const scenarios = {
+    '*': {
+        serialNumber: 'SIM-TZ',
+        users: [{ uid: 1, userId: '201', name: 'Zara Khan' }],
+        punches: [
+            { userId: '201', time: '2024-05-06T09:00:00', state: 0 },
+            { userId: '201', time: '2024-05-06T17:30:00', state: 1 }
+        ],
+        clockOffsetSeconds: 0
+    }
+};
+const server = loadServer(scenarios);
+const timezone = require('../lib/timezone');
+const punchStore = require('../lib/punchStore');
+
+let api;
+let app;
+
+test.before(async () => {
+    app = await listen(server.app);
+    api = await signInAsAdmin(app.baseUrl);
+});
+
+test.after(() => app.close());
+
+test('converts between instants and office clock times', () => {
+    const instant = new Date('2024-05-06T04:00:00Z');
+    assert.strictEqual(timezone.dateKey(instant, 'Asia/Karachi'), '2024-05-06');
+    assert.strictEqual(timezone.timeOf(instant, 'Asia/Karachi'), '09:00:00');
+    assert.strictEqual(timezone.isoWithOffset(instant, 'Asia/Karachi'), '2024-05-06T09:00:00+05:00');
+    assert.strictEqual(timezone.isoWithOffset(instant, 'America/New_York'), '2024-05-06T00:00:00-04:00');
+    assert.strictEqual(timezone.zonedDate('2024-05-06', '09:00', 'Asia/Karachi').toISOString(), instant.toISOString());
+    assert.strictEqual(timezone.zonedDate('2024-01-15', '09:00', 'America/New_York').toISOString(), '2024-01-15T14:00:00.000Z');
+    assert.strictEqual(timezone.parseOfficeTime('2024-05-06T09:00', 'Asia/Karachi').toISOString(), instant.toISOString());
+    assert.strictEqual(timezone.parseOfficeTime('2024-05-06T09:00:00Z', 'Asia/Karachi').toISOString(), '2024-05-06T09:00:00.000Z');
+    assert.strictEqual(timezone.addDays('2024-03-01', -1), '2024-02-29');
+    assert.strictEqual(timezone.isValidZone('Not/AZone'), false);
+});
+
+test('reads the weekday of a date the same in every zone', () => {
+    const calendar = require('../lib/calendar');
+    assert.strictEqual(calendar.describeDay('201', '2024-05-04', null).weekend, true); // Saturday
+    assert.strictEqual(calendar.describeDay('201', '2024-05-06', null).weekend, false); // Monday
+    assert.strictEqual(calendar.describeDay('201', '2024-05-06', [2, 3, 4, 5, 6]).weekend, true);
+});
+
+test('rejects an unknown office timezone', async () => {
+    const { status, body } = await api('/api/settings', { method: 'PUT', body: { timezone: 'Mars/Olympus' } });
+    assert.strictEqual(status, 400);
+    assert.match(body.message, /IANA timezone/);
+});
+
+test('moves the archive with the office timezone and keeps voids on their punch', async () => {
+    await server.pullFromDevice();
+    const checkOut = punchStore.getPunches().find(p => p.status === 1);
+    const voided = await api('/api/corrections/void-punch', { method: 'POST', body: { punchKey: punchStore.punchKey(checkOut), reason: 'Test tap' } });
+    assert.strictEqual(voided.body.success, true);
+
+    const { body } = await api('/api/settings', { method: 'PUT', body: { timezone: OFFICE_ZONE } });
+    assert.strictEqual(body.success, true);
+
+    const punches = punchStore.getPunches();
+    assert.deepStrictEqual(punches.map(p => p.timestamp), ['2024-05-05T19:00:00.000Z', '2024-05-06T03:30:00.000Z']);
+
+    // A full download finds the same punches again
+    const pull = await server.pullFromDevice({ force: true });
+    assert.strictEqual(pull.newPunches, 0);
+
+    const day = await api('/api/attendance?type=date&value=2024-05-06');
+    assert.strictEqual(day.body.timezone, OFFICE_ZONE);
+    assert.deepStrictEqual(day.body.data.map(p => p.localTime), ['2024-05-06T09:00:00+14:00']);
+    const summary = day.body.summary['201']['2024-05-06'];
+    assert.strictEqual(summary.firstIn, '09:00:00');
+    assert.strictEqual(summary.timezone, OFFICE_ZONE);
+});
+
+test('reads a device with its own timezone in that zone', async () => {
+    const { body } = await api('/api/devices/main', { method: 'PUT', body: { timezone: 'Asia/Karachi' } });
+    assert.strictEqual(body.data.timezone, 'Asia/Karachi');
+    assert.strictEqual(punchStore.getPunches()[0].timestamp, '2024-05-06T04:00:00.000Z');
+
+    const day = await api('/api/attendance?type=date&value=2024-05-06');
+    assert.deepStrictEqual(day.body.data.map(p => p.localTime), ['2024-05-06T09:00:00+05:00']);
+
+    const invalid = await api('/api/devices/main', { method: 'PUT', body: { timezone: 'Nowhere' } });
+    assert.strictEqual(invalid.status, 400);
+});
+
+test('sets the device clock to its own zone', async () => {
+    await api('/api/devices/main/time', { method: 'POST' });
+    const { body } = await api('/api/devices/main/time');
+    assert.ok(Math.abs(body.data.driftSeconds) <= 1);
+    assert.strictEqual(body.data.timezone, 'Asia/Karachi');
+    assert.match(body.data.deviceTime, /\+05:00$/);
+});
+
+test('reads manual punch times without an offset as office time', async () => {
+    const { body } = await api('/api/corrections', {
+        method: 'POST',
+        body: { uid: '201', timestamp: '2024-05-07T08:30', status: 0, reason: 'Forgot card' }
+    });
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.data.timestamp, '2024-05-06T18:30:00.000Z');
+
+    const day = await api('/api/attendance?type=date&value=2024-05-07');
+    assert.strictEqual(day.body.summary['201']['2024-05-07'].firstIn, '08:30:00');
+});
+
+test('keeps manual punches on their office clock time when the office zone changes', async () => {
+    const { body } = await api('/api/settings', { method: 'PUT', body: { timezone: 'Asia/Karachi' } });
+    assert.strictEqual(body.success, true);
+
+    const day = await api('/api/attendance?type=date&value=2024-05-07');
+    assert.strictEqual(day.body.summary['201']['2024-05-07'].firstIn, '08:30:00');
+    assert.deepStrictEqual(day.body.data.map(p => p.localTime), ['2024-05-07T08:30:00+05:00']);
+});
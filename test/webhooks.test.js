@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { loadServer, fixtureScenarios, listen, waitFor } = require('./helpers');
+
+loadServer(fixtureScenarios());
+const storage = require('../lib/storage');
+const webhooks = require('../lib/webhooks');
+const events = require('../lib/events');
+
+// Stands in for the system the webhooks post to
+const received = [];
+const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.writeHead(200);
+        res.end('ok');
+    });
+});
+
+let receiverUrl;
+
+test.before(async () => {
+    receiverUrl = (await listen(receiver)).baseUrl;
+});
+
+test.after(() => receiver.close());
+
+test('sends a delivery left pending when the server stopped mid-send', async () => {
+    // As a previous run left it: created and saved, but never finished
+    storage.writeJson('webhooks.json', [{
+        id: 'hr', name: 'HR', url: `${receiverUrl}/hook`, events: ['punch'], secret: 's', enabled: true, createdAt: new Date().toISOString()
+    }]);
+    storage.writeJson('webhook-deliveries.json', [{
+        id: 'dlv-stale', webhookId: 'hr', event: 'punch', eventId: 'evt-1', status: 'pending', attempts: 1,
+        createdAt: new Date().toISOString(), lastAttemptAt: new Date().toISOString(), nextAttemptAt: new Date().toISOString(),
+        deliveredAt: null, httpStatus: null, response: null, lastError: null,
+        payload: { id: 'evt-1', type: 'punch', data: { uid: '101' } }
+    }]);
+
+    await webhooks.processDue();
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(received[0].id, 'evt-1');
+    assert.strictEqual(webhooks.listDeliveries()[0].status, 'delivered');
+    assert.strictEqual(webhooks.describeWebhook(webhooks.getWebhook('hr')).pendingDeliveries, 0);
+});
+
+test('a failure while recording a delivery does not become an unhandled rejection', async (t) => {
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    t.after(() => process.off('unhandledRejection', onUnhandled));
+
+    // The delivery is saved once when queued; saving the outcome fails
+    let saves = 0;
+    const writeJson = storage.writeJson;
+    t.mock.method(storage, 'writeJson', (name, value) => {
+        if (name === 'webhook-deliveries.json' && ++saves > 1) throw new Error('disk full');
+        return writeJson(name, value);
+    });
+
+    const [delivery] = webhooks.dispatch({ id: 'evt-2', type: 'punch', occurredAt: new Date().toISOString(), data: { uid: '102' } });
+    await waitFor(() => received.length === 2 && !webhooks.isSending(delivery.id));
+    assert.deepStrictEqual(unhandled, []);
+});
+
+test('queued retries stop when their webhook is disabled', async () => {
+    const sent = received.length;
+    // Turn the newest delivery back into a retry that is due now
+    const queued = webhooks.listDeliveries({ webhookId: 'hr' })[0];
+    Object.assign(queued, { status: 'retrying', nextAttemptAt: new Date().toISOString() });
+
+    webhooks.updateWebhook('hr', { enabled: false });
+    await webhooks.processDue();
+    assert.strictEqual(received.length, sent);
+    assert.strictEqual(queued.status, 'failed');
+    assert.strictEqual(queued.lastError, 'Webhook disabled');
+    webhooks.updateWebhook('hr', { enabled: true });
+});
+
+test('a delivery being sent is not sent a second time by a redelivery', async () => {
+    const sent = received.length;
+    const [delivery] = webhooks.dispatch({ id: 'evt-3', type: 'punch', occurredAt: new Date().toISOString(), data: { uid: '103' } });
+    assert.strictEqual(webhooks.isSending(delivery.id), true);
+
+    await webhooks.redeliver(delivery.id);
+    assert.strictEqual(delivery.attempts, 1);
+    await waitFor(() => delivery.status === 'delivered');
+    assert.strictEqual(received.length, sent + 1);
+});
+
+test('a failure while queueing a delivery does not reach the code that published the event', async (t) => {
+    t.mock.method(storage, 'writeJson', () => { throw new Error('disk full'); });
+    assert.doesNotThrow(() => events.publish('punch', { uid: '104' }));
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zkSimulator = require('../lib/zkSimulator');
+
+const device = { id: 'main', ip: '10.0.0.5', port: 4370 };
+
+test('answers in the shapes zkteco-js returns', async () => {
+    zkSimulator.useScenarios({
+        main: {
+            serialNumber: 'SIM0042',
+            users: [{ uid: 1, userId: '101', name: 'Ayesha' }],
+            punches: [{ userId: '101', time: '2024-05-06T09:02:00', state: 0 }]
+        }
+    });
+    const zk = zkSimulator.connect(device);
+    await zk.createSocket();
+
+    assert.strictEqual(await zk.getSerialNumber(), 'SIM0042');
+    assert.deepStrictEqual(await zk.getInfo(), { userCounts: 1, logCounts: 1, logCapacity: 100000 });
+    assert.deepStrictEqual((await zk.getUsers()).data, [
+        { uid: 1, role: 0, password: '', name: 'Ayesha', cardno: 0, userId: '101' }
+    ]);
+
+    const [record] = (await zk.getAttendances()).data;
+    assert.strictEqual(record.user_id, '101');
+    assert.strictEqual(record.state, 0);
+    assert.strictEqual(new Date(record.record_time).getTime(), new Date('2024-05-06T09:02:00').getTime());
+});
+
+test('places daysAgo punches relative to today', async () => {
+    zkSimulator.useScenarios({ '*': { punches: [{ userId: '7', daysAgo: 1, at: '18:10', state: 1 }] } });
+    const zk = zkSimulator.connect({ id: 'any-device', ip: '10.0.0.6', port: 4370 });
+    await zk.createSocket();
+
+    const time = new Date((await zk.getAttendances()).data[0].record_time);
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    assert.strictEqual(time.toDateString(), yesterday.toDateString());
+    assert.strictEqual(time.getHours(), 18);
+    assert.strictEqual(time.getMinutes(), 10);
+});
+
+test('passes raw records through untouched', async () => {
+    const broken = { user_id: '101', record_time: 'Invalid Date' };
+    zkSimulator.useScenarios({ main: { raw: [broken] } });
+    const zk = zkSimulator.connect(device);
+    await zk.createSocket();
+    assert.deepStrictEqual((await zk.getAttendances()).data, [broken]);
+});
+
+test('fails calls the way the library does', async () => {
+    zkSimulator.useScenarios({ main: { faults: { createSocket: 'timeout' } } });
+    await assert.rejects(zkSimulator.connect(device).createSocket(), (err) => {
+        assert.strictEqual(err.err.message, 'TIMEOUT_ON_WRITING_MESSAGE');
+        assert.strictEqual(err.ip, '10.0.0.5');
+        assert.strictEqual(err.command, 'createSocket');
+        return true;
+    });
+
+    zkSimulator.useScenarios({ main: { faults: { getUsers: 'error' } } });
+    const zk = zkSimulator.connect(device);
+    await zk.createSocket();
+    await assert.rejects(zk.getUsers(), (err) => err.command === 'getUsers');
+});
+
+test('treats a device without a scenario as unreachable', async () => {
+    zkSimulator.useScenarios({ main: {} });
+    const zk = zkSimulator.connect({ id: 'back-door', ip: '10.0.0.7', port: 4370 });
+    await assert.rejects(zk.createSocket(), (err) => err.err.message === 'TIMEOUT_ON_WRITING_MESSAGE');
+});
+
+test('refuses commands before connecting', async () => {
+    zkSimulator.useScenarios({ main: {} });
+    await assert.rejects(zkSimulator.connect(device).getInfo(), (err) => err.err.message === 'Socket is not connected');
+});
+
+test('keeps user changes in the scenario', async () => {
+    const scenario = { users: [{ uid: 1, userId: '101', name: 'Ayesha' }] };
+    zkSimulator.useScenarios({ main: scenario });
+    const zk = zkSimulator.connect(device);
+    await zk.createSocket();
+
+    await zk.setUser(2, '102', 'Bilal', '', 0, 0);
+    await zk.setUser(1, '101', 'Ayesha Khan', '', 14, 0);
+    await zk.deleteUser(2);
+    assert.deepStrictEqual(scenario.users, [{ uid: 1, userId: '101', name: 'Ayesha Khan', password: '', role: 14, cardno: 0 }]);
+});